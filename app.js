@@ -1,92 +1,194 @@
+#!/usr/bin/env node
 var
   path = require('path'),
   fs = require('./lib/fs.js'),
-  Handlebars = require('./lib/handlebars.js'),
-  extend = require('node.extend'),
-  debug = require('./lib/debug.js'),
-  pmd = require('./lib/pmd.js')(debug, extend)
+  errors = require('./lib/errors.js'),
+  createPmd = require('./lib/pmd.js'),
+  pmd = createPmd()
 ;
 
 
-// Handle parameters
-var arguments = pmd.getArguments(process);
+/**
+ * Runs the command line
+ *
+ * @return Exit code
+ */
+function main(){
+  var
+    args,
+    configPath,
+    userConfig,
+    projects,
+    generated = [], // Projects generated, for the portal: [{name, config, objs}]
+    exitCode = pmd.EXIT_CODES.SUCCESS
+    ;
+
+  // Handle parameters
+  args = pmd.getArguments(process);
+
+  if (args.help){
+    console.log(pmd.getHelp());
+    return pmd.EXIT_CODES.SUCCESS;
+  }
+  if (args.version){
+    console.log(require('./package.json').version);
+    return pmd.EXIT_CODES.SUCCESS;
+  }
 
-var
-  defaultConfig = require('./default'),
-  defaultConfigFolder = require('./defaultFolder'),
-  userConfig = require(arguments.config)
-;
+  // The diff compares two source trees, without config
+  if (args.diff){
+    var diffPmd = createPmd({quiet: true, debug: args.debug});
 
-// Check that project exists in config.
-if (!userConfig[arguments.project]){
-  pmd.raiseError('Can not find project: ' + arguments.project + ' in config.json');
-}
+    console.log(diffPmd.formatDiffReport(diffPmd.diffModels(diffPmd.buildSourceModel(args.diff[0]), diffPmd.buildSourceModel(args.diff[1])), args.format || 'markdown'));
+    return pmd.EXIT_CODES.SUCCESS;
+  }
 
-var config = extend(true, {}, defaultConfig, userConfig[arguments.project]);
+  configPath = args.config ? path.resolve(args.config) : pmd.findConfig(process.cwd());
 
+  if (!configPath){
+    throw new errors.ConfigError('No config file found. Create a ' + pmd.CONFIG_FILE_NAMES.join(' or ') + ' file or use --config');
+  }
+  pmd.validatePathRef(configPath, 'config');
 
-debug.debug = config.debug;
-debug.setup();
-pmd.debug = debug
+  try {
+    userConfig = fs.readJsonSync(configPath);
+  }
+  catch (e){
+    throw new errors.ConfigError('Can not read ' + configPath + ': ' + e.message, {path: configPath});
+  }
 
-// only call debug from this point on
+  if (args.allProjects){
+    projects = Object.keys(userConfig);
+  }
+  else if (args.project){
+    projects = [args.project];
+  }
+  else if (Object.keys(userConfig).length === 1){
+    projects = Object.keys(userConfig);
+  }
+  else {
+    throw new errors.UsageError('Use --project or --all-projects. Projects in ' + configPath + ': ' + Object.keys(userConfig).join(', '));
+  }
 
-// #10
-if (config.projectDispName.trim().length === 0){
-  config.projectDispName = arguments.project;
-}
+  // Checked before generating the projects
+  if (args.portal){
+    pmd.validatePathRef(path.resolve(args.portal), 'portal');
+  }
 
-debug.log('config: ', config);
+  projects.forEach(function(project){
+    try {
+      exitCode = Math.max(exitCode, run(args, configPath, userConfig, project, generated));
+    }
+    catch (e){
+      exitCode = Math.max(exitCode, reportError(e, project));
+    }
+  });
+
+  // The portal lists the projects that were generated
+  if (args.portal && !args.check){
+    createPmd({
+      quiet: args.quiet,
+      dryRun: args.dryRun,
+      debug: args.debug
+    }).generatePortal(path.resolve(args.portal), path.resolve(args.portalFile || path.resolve(args.out, 'index' + path.extname(args.portal))), generated);
+  }
 
+  return exitCode;
+}// main
+
+
+/**
+ * Generates (or checks) the documentation of a project
+ *
+ * @param args Arguments (see pmd.getArguments)
+ * @param configPath Path of the config file
+ * @param userConfig Content of the config file
+ * @param project Name of the project in the config file
+ * @param generated Projects generated: {name, config, objs} is added once the project is generated
+ * @return Exit code
+ */
+function run(args, configPath, userConfig, project, generated){
+  // Each project has its own instance so that partials, helpers and warnings are not shared
+  var
+    pmd = createPmd({
+      quiet: args.quiet,
+      dryRun: args.dryRun,
+      debug: args.debug
+    }),
+    config,
+    objs,
+    rawObjs
+    ;
+
+  // Check that project exists in config.
+  if (!userConfig[project]){
+    throw new errors.ConfigError('Can not find project: ' + project + ' in ' + configPath);
+  }
 
+  // Relative paths are relative to the config file
+  // All the folders are written to --out (a subfolder per project when generating all the projects)
+  config = pmd.prepareConfig(userConfig[project], {
+    name: project,
+    basePath: path.dirname(configPath),
+    out: args.out ? path.resolve(args.out, args.allProjects ? project : '') : undefined,
+    version: args.docVersion
+  });
 
-// If only one folder (i.e. not an array), covert to array
-if (!Array.isArray(config.folders)){
-  config.folders = [config.folders];
-}
+  // Process data and write to file
+  objs = pmd.generateData(config);
 
-// Apply the default config to each element
-config.folders.forEach(function(folder, key){
-  folder = extend(true, {}, defaultConfigFolder, folder);
+  // Check mode: report the documentation coverage of each file without generating the documentation
+  if (args.check){
+    var report = pmd.checkDocs(objs, args.threshold === undefined ? config.check.threshold : args.threshold);
 
-  // Convert the regexp into a regexp object
-  if (folder.source.fileFilterRegexp.length > 0){
-    folder.source.fileFilterRegexp = new RegExp(folder.source.fileFilterRegexp, 'i');
+    console.log(pmd.formatCheckReport(report, args.format || config.check.format));
+    return report.passed ? pmd.EXIT_CODES.SUCCESS : pmd.EXIT_CODES.CHECK_FAILED;
   }
 
-  // Check that template exists
-  pmd.validatePathRef(folder.template, 'template');
-  folder.templateContent = fs.readFileSync(path.resolve(folder.template),'utf8');
-
-  // Check that the srcPath exists
-  pmd.validatePathRef(folder.source.path, 'folder.source.path');
-
-  // Check if output path is defined
-  if (folder.output.path.length == 0){
-    pmd.raiseError('folder.output.path is required', true);
+  // In watch mode the files are merged again when they change. mergeObjs changes the objects so copies are kept
+  rawObjs = args.watch ? objs.map(pmd.cloneObj) : null;
+
+  objs = pmd.generateDocs(config, objs);
+  generated.push({
+    name: project,
+    config: config,
+    objs: objs
+  });
+
+  if (args.watch){
+    // The watch goes on after an error. The exit code is the highest one of the errors
+    pmd.watch(config, rawObjs, objs, function(e){
+      process.exitCode = Math.max(process.exitCode || pmd.EXIT_CODES.SUCCESS, reportError(e, project));
+    });
   }
 
-  // Create outputPath if doesn't exist
-  fs.ensureDirSync(path.resolve(folder.output.path));
-
-  // #11 Delete if told to
-  if (folder.output.delete){
-    fs.emptydirSync(path.resolve(folder.output.path));
+  return pmd.EXIT_CODES.SUCCESS;
+}// run
+
+
+/**
+ * Prints an error
+ * Errors of the generator (bad arguments, config...) are printed without the stack
+ *
+ * @param e Error
+ * @param project optional - Project that raised the error
+ * @return Exit code
+ */
+function reportError(e, project){
+  if (e instanceof errors.PmdError){
+    console.error('Error: ' + (project ? project + ': ' : '') + e.message);
+    return e.exitCode;
   }
 
-  config.folders[key] = folder;
+  console.error('Error: ' + (project ? project + ': ' : '') + (e.stack || e));
+  return pmd.EXIT_CODES.PROCESSING;
+}// reportError
 
-});// config.folders.forEach
 
-if (config.toc.template){
-  pmd.validatePathRef(config.toc.template, 'config.toc.template');
+// Watch mode keeps running until stopped
+try {
+  process.exitCode = main();
+}
+catch (e){
+  process.exitCode = reportError(e);
 }
-
-
-// Process data and write to file
-var objs = pmd.generateData(config);
-objs = pmd.mergeObjs(objs);
-
-// First generate the TOC than the files, so the packages also have a TOC
-pmd.generateToc(config, objs);
-pmd.saveToFile(config, objs);
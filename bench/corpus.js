@@ -0,0 +1,211 @@
+// Generated corpus for the benchmark (see parse.js)
+// Packages (specification and body) written like the ones of real projects: JavaDoc, constants, types, cursors,
+// procedures and functions with defaults, bodies with queries, literals, comments, loops and exception handlers
+// The content only depends on the options, so that the timings of two runs can be compared
+// The literals don't contain quotes so that the parser of 1.0 reads them right too (the fixtures cover the ones it reads wrong): the timings of both compare the same work
+var
+  // Parameter datatypes and defaults
+  DATATYPES = ['number', 'varchar2', 'date', 'boolean', 'pls_integer', 'emp.empno%type', 'emp%rowtype', 'clob', 'timestamp with time zone'],
+  DEFAULTS = {
+    'number': ['null', '0', '100'],
+    'varchar2': ["null", "'Y'", "q'[a; (b) -- c]'"],
+    'date': ['sysdate', "to_date(to_char(sysdate, 'yyyy'), 'yyyy')", 'trunc(sysdate) - 1'],
+    'boolean': ['false', 'true'],
+    'pls_integer': ['1', 'gc_max_rows']
+  },
+  WORDS = ['employee', 'department', 'salary', 'manager', 'status', 'history', 'address', 'payment', 'invoice', 'order', 'report', 'account']
+  ;
+
+
+/**
+ * Returns a pseudo-random number generator. The same seed gives the same numbers
+ *
+ * @param seed
+ * @return function(n): integer between 0 and n - 1
+ */
+function createRandom(seed){
+  return function(n){
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return Math.floor(seed / 2147483648 * n);
+  };
+}// createRandom
+
+
+/**
+ * Generates the packages
+ *
+ * @param options optional - {packages: number of packages (default 40), seed}
+ * @return Array of sources: a specification (.pks) and a body (.pkb) for each package
+ */
+function generate(options){
+  var
+    packages = (options && options.packages) || 40,
+    random = createRandom((options && options.seed) || 42),
+    sources = []
+    ;
+
+  function pick(values){
+    return values[random(values.length)];
+  }
+
+  // Ex: get_employee_status
+  function routineName(prefix, i){
+    return prefix + '_' + pick(WORDS) + '_' + pick(WORDS) + i;
+  }
+
+  // Parameters of a procedure or function: [{name, code}]
+  function params(){
+    var list = [];
+
+    for (var i = 0, count = random(8); i < count; i++){
+      var
+        name = 'p_' + pick(WORDS) + i,
+        dataType = pick(DATATYPES),
+        mode = pick(['in', 'in', 'in', 'out', 'in out', 'in out nocopy']),
+        code = name + ' ' + mode + ' ' + dataType
+        ;
+
+      if (mode === 'in' && DEFAULTS[dataType] && random(2)){
+        code += ' default ' + pick(DEFAULTS[dataType]);
+      }
+      list.push({
+        name: name,
+        code: code
+      });
+    }
+
+    return list;
+  }
+
+  // Header of a procedure or function
+  function header(routine){
+    return routine.kind + ' ' + routine.name + (routine.params.length ? '(\n    ' + routine.params.map(function(param){
+      return param.code;
+    }).join(',\n    ') + ')' : '') + (routine.kind === 'function' ? '\n    return ' + routine.returnType : '');
+  }
+
+  // JavaDoc of a procedure or function
+  function javaDoc(routine){
+    return [
+      '  /**',
+      '   * ' + (routine.kind === 'function' ? 'Returns' : 'Processes') + ' the ' + pick(WORDS) + ' of the ' + pick(WORDS) + '; see {@link ' + routine.name + '}',
+      '   *',
+      '   * @author Jane Doe',
+      '   * @created 2' + random(10) + '-Jan-2020'
+    ].concat(routine.params.map(function(param){
+      return '   * @param ' + param.name + ' The ' + pick(WORDS) + ' (it\'s optional)';
+    }), routine.kind === 'function' ? ['   * @return The ' + pick(WORDS)] : [], random(3) ? [] : ['   * @throws no_data_found When the ' + pick(WORDS) + ' does not exist'], ['   */']).join('\n');
+  }
+
+  // Body of a procedure or function
+  function body(routine){
+    var lines = [
+      '  ' + header(routine) + '\n  as',
+      '    l_count pls_integer := 0;',
+      "    l_text varchar2(4000) := 'begin; end; -- not code';",
+      '    cursor c_rows is',
+      '      select e.empno, e.ename, d.dname',
+      '        from emp e',
+      '        join dept d on (d.deptno = e.deptno)',
+      '       where e.sal > (select avg(sal) from emp where deptno = e.deptno);',
+      '  begin',
+      '    -- Loop over the ' + pick(WORDS) + 's; skip the inactive ones',
+      '    for r in c_rows loop',
+      '      if r.ename like \'A%\' then',
+      '        l_count := l_count + 1;',
+      "      elsif r.dname = q'[a (here)]' then",
+      '        l_text := l_text || r.ename;',
+      '      end if;',
+      '    end loop;',
+      '',
+      '    /* Block comment with ; and ( */',
+      '    select count(*)',
+      '      into l_count',
+      '      from emp',
+      "     where hiredate > to_date('2020-01-01', 'yyyy-mm-dd');",
+      ''
+    ];
+
+    lines.push(routine.kind === 'function' ? '    return null;' : '    null;');
+    lines.push('  exception', '    when no_data_found then', "      raise_application_error(-20001, 'Not found: ' || l_text);", '  end ' + routine.name + ';');
+
+    return lines.join('\n');
+  }
+
+  for (var i = 0; i < packages; i++){
+    var
+      name = 'pkg_' + pick(WORDS) + '_' + i,
+      routines = [],
+      spec,
+      specBody
+      ;
+
+    for (var j = 0, count = 5 + random(25); j < count; j++){
+      var kind = pick(['procedure', 'function']);
+
+      routines.push({
+        kind: kind,
+        name: routineName(kind === 'function' ? 'get' : 'set', j),
+        params: params(),
+        returnType: pick(['varchar2', 'number', 'boolean', 't_' + pick(WORDS) + '_rec', 'sys_refcursor'])
+      });
+    }
+
+    spec = [
+      '/**',
+      ' * Package of the ' + pick(WORDS) + 's',
+      ' *',
+      ' * @author Jane Doe',
+      ' */',
+      'create or replace package ' + name + ' authid definer',
+      'as',
+      '',
+      '  /**',
+      '   * @constant gc_max_rows Maximum number of rows',
+      '   * @constant gc_name Name of the package',
+      '   */',
+      '  gc_max_rows constant pls_integer := 1000; -- rows; not bytes',
+      "  gc_name constant varchar2(30) := '" + name + "';",
+      '',
+      '  /**',
+      '   * @type t_row Row of the package',
+      '   * @type t_rows Rows',
+      '   */',
+      '  type t_row is record(',
+      '    id number,',
+      '    name varchar2(100),',
+      '    created date default sysdate);',
+      '  type t_rows is table of t_row index by pls_integer;',
+      '',
+      '  /**',
+      '   * Rows of a department',
+      '   * @param p_deptno Department number',
+      '   */',
+      '  cursor c_rows(p_deptno in number) return emp%rowtype;',
+      ''
+    ].concat(routines.map(function(routine){
+      return javaDoc(routine) + '\n  ' + header(routine) + ';\n';
+    }), ['end ' + name + ';', '/', '']).join('\n');
+
+    specBody = [
+      'create or replace package body ' + name + ' as',
+      '',
+      '  cursor c_rows(p_deptno in number) return emp%rowtype is',
+      '    select *',
+      '      from emp',
+      '     where deptno = p_deptno;',
+      ''
+    ].concat(routines.map(function(routine){
+      return javaDoc(routine) + '\n' + body(routine) + '\n';
+    }), ['end ' + name + ';', '/', '']).join('\n');
+
+    sources.push(spec, specBody);
+  }
+
+  return sources;
+}// generate
+
+
+module.exports = {
+  generate: generate
+};
@@ -0,0 +1,361 @@
+// Parser fixtures and benchmark
+// Checks the declarations found in each fixture (bench/fixtures) against the expected ones (<fixture>.json)
+// and the behaviours of the generator on the files of each subfolder of the fixtures (see BEHAVIOURS)
+// then times the parsing of a corpus: generated packages (see corpus.js) or the files of a folder
+//
+// Usage: node bench/parse.js [--iterations <n>] [--corpus <path>] [--baseline <path>] [--update]
+//  --iterations: number of times each file is parsed. Default 5
+//  --corpus: folder of PL/SQL sources (and its subfolders) to parse instead of the generated packages. Ex: the sources of a real project
+//  --baseline: folder of another copy of the project (with its dependencies installed), Ex: a previous version. Its parser is checked and timed too
+//  --update: writes the expected results of the fixtures
+var
+  path = require('path'),
+  fs = require('../lib/fs.js'),
+  dox = require('../lib/dox.js'),
+  createPmd = require('../lib/pmd.js'),
+  corpus = require('./corpus.js')
+  ;
+
+var
+  FIXTURES_PATH = path.resolve(__dirname, 'fixtures'),
+  SOURCE_REGEXP = /\.(pks|pkb|tps|tpb|vw|sql|prc|fnc|trg|tab|seq)$/i,
+  // Functions of the parser that are timed. Versions before 1.1 only have parseComments
+  PARSE_FUNCTIONS = ['parseComments', 'parseDeclarations', 'parseObject'],
+  // Result of each subfolder of the fixtures (bench/fixtures/<name>), checked against <name>.json
+  BEHAVIOURS = {
+    links: summarizeLinks,
+    diff: summarizeDiff
+  }
+  ;
+
+
+/**
+ * Returns the value of an option
+ *
+ * @param name Ex: --iterations
+ * @return Value, true for options without value or undefined
+ */
+function getOption(name){
+  var pos = process.argv.indexOf(name);
+
+  if (pos === -1){
+    return undefined;
+  }
+  return process.argv[pos + 1] && !/^--/.test(process.argv[pos + 1]) ? process.argv[pos + 1] : true;
+}// getOption
+
+
+/**
+ * Requires a module with new instances of all its dependencies
+ * lib/dox.js extends the dox package, so the baseline must not share it with the current parser
+ *
+ * @param filePath
+ * @return Module
+ */
+function requireIsolated(filePath){
+  Object.keys(require.cache).forEach(function(key){
+    delete require.cache[key];
+  });
+
+  return require(filePath);
+}// requireIsolated
+
+
+/**
+ * Lists the source files of a folder and its subfolders
+ *
+ * @param dirPath
+ * @return Array of full paths
+ */
+function listFiles(dirPath){
+  return fs.readdirSync(dirPath).reduce(function(files, fileName){
+    var filePath = path.resolve(dirPath, fileName);
+
+    if (fs.lstatSync(filePath).isDirectory()){
+      return files.concat(listFiles(filePath));
+    }
+    return SOURCE_REGEXP.test(fileName) ? files.concat(filePath) : files;
+  }, []).sort();
+}// listFiles
+
+
+/**
+ * Returns what the parser finds in a source: the context of each comment and the declarations
+ *
+ * @param parser dox.js module
+ * @param source
+ * @return {comments, declarations}. declarations: undefined if the parser can't list them
+ */
+function summarize(parser, source){
+  return {
+    comments: parser.parseComments(source).filter(function(comment){
+      return comment.ctx;
+    }).map(function(comment){
+      var
+        ctx = comment.ctx,
+        item = {
+          line: comment.line,
+          type: ctx.type
+        }
+        ;
+
+      if (ctx.name){
+        item.name = ctx.name;
+        item.header = ctx.header;
+      }
+      if (ctx.signature){
+        item.params = ctx.signature.params.map(function(param){
+          return param.name + ' ' + param.dataType + (param.hasDefault ? ' := ' + param.default : '');
+        });
+      }
+
+      ['constants', 'exceptions', 'types', 'variables'].forEach(function(list){
+        if (ctx[list]){
+          item[list] = ctx[list].map(function(declaration){
+            return {
+              name: declaration.name,
+              line: declaration.line,
+              code: declaration.code
+            };
+          });
+        }
+      });
+
+      return item;
+    }),
+    declarations: parser.parseDeclarations ? parser.parseDeclarations(source) : undefined
+  };
+}// summarize
+
+
+/**
+ * Returns the links ({@link} and @see) of the objects of a folder, resolved as when generating the documentation
+ *
+ * @param dirPath Folder of the source files
+ * @return {methods: [{object, name, description, see}], warnings: [{file, line, message}]}
+ */
+function summarizeLinks(dirPath){
+  var
+    pmd = createPmd({quiet: true, dryRun: true}),
+    config = pmd.prepareConfig({
+      folders: [{
+        source: {
+          path: dirPath,
+          fileFilterRegexp: '\\.pks$'
+        },
+        output: {
+          path: path.resolve(dirPath, 'out')
+        },
+        template: path.resolve(__dirname, '../templates/package.md')
+      }]
+    }, {name: path.basename(dirPath)}),
+    objs = pmd.generateDocs(config, pmd.generateData(config))
+    ;
+
+  return {
+    methods: objs.reduce(function(methods, obj){
+      return methods.concat(obj.fileData.methods.reduce(function(overloads, method){
+        return overloads.concat(method.overloads);
+      }, []).map(function(method){
+        return {
+          object: obj.fileData.name,
+          name: method.name,
+          description: method.description.full,
+          see: method.see
+        };
+      }));
+    }, []),
+    // Paths are relative to the folder, so that the results don't depend on where the project is
+    warnings: pmd.warnings.map(function(warning){
+      return {
+        file: path.relative(dirPath, warning.file).split(path.sep).join('/'),
+        line: warning.line,
+        message: warning.message
+      };
+    })
+  };
+}// summarizeLinks
+
+
+/**
+ * Returns the changes between the old and new subfolders of a folder (see pmd.diffModels)
+ *
+ * @param dirPath Folder with an old and a new folder of source files
+ * @return {breaking, changes}
+ */
+function summarizeDiff(dirPath){
+  var
+    pmd = createPmd({quiet: true}),
+    report = pmd.diffModels(pmd.buildSourceModel(path.resolve(dirPath, 'old')), pmd.buildSourceModel(path.resolve(dirPath, 'new')))
+    ;
+
+  // from and to are the paths of the folders
+  return {
+    breaking: report.breaking,
+    changes: report.changes
+  };
+}// summarizeDiff
+
+
+/**
+ * Compares a result with the expected one
+ *
+ * @param fileName Name of the fixture
+ * @param result
+ * @param expectedPath Path of the expected result (JSON)
+ * @param update Write the expected result instead of checking it
+ * @param failure optional - Status of the fixtures that don't match. Default: FAILED
+ * @return true if the result matches
+ */
+function checkResult(fileName, result, expectedPath, update, failure){
+  var
+    actual = JSON.stringify(result, null, 2) + '\n',
+    expected
+    ;
+
+  if (update){
+    fs.writeFileSync(expectedPath, actual);
+    console.log('  updated ' + path.relative(process.cwd(), expectedPath));
+    return true;
+  }
+
+  expected = fs.existsSync(expectedPath) ? fs.readFileSync(expectedPath, 'utf8') : '';
+  if (actual === expected){
+    console.log('  ok      ' + fileName);
+    return true;
+  }
+
+  console.log('  ' + ((failure || 'FAILED') + '        ').slice(0, 8) + fileName + ' (differs from ' + path.basename(expectedPath) + ')');
+  return false;
+}// checkResult
+
+
+/**
+ * Checks the fixtures of the parser (the files of bench/fixtures)
+ *
+ * @param parser dox.js module
+ * @param update Write the expected results instead of checking them
+ * @param failure optional - Status of the fixtures that don't match. Default: FAILED
+ * @return Number of fixtures that don't match
+ */
+function checkFixtures(parser, update, failure){
+  // The files of the subfolders are the fixtures of the behaviours
+  return listFiles(FIXTURES_PATH).filter(function(filePath){
+    return path.dirname(filePath) === FIXTURES_PATH &&
+      !checkResult(path.basename(filePath), summarize(parser, fs.readFileSync(filePath, 'utf8')), filePath.replace(/\.\w+$/, '.json'), update, failure);
+  }).length;
+}// checkFixtures
+
+
+/**
+ * Checks the fixtures of the behaviours (see BEHAVIOURS)
+ *
+ * @param update Write the expected results instead of checking them
+ * @return Number of fixtures that don't match
+ */
+function checkBehaviours(update){
+  return Object.keys(BEHAVIOURS).filter(function(name){
+    var dirPath = path.resolve(FIXTURES_PATH, name);
+
+    return !checkResult(name + '/', BEHAVIOURS[name](dirPath), dirPath + '.json', update);
+  }).length;
+}// checkBehaviours
+
+
+/**
+ * Counts the sources in which two parsers don't find the same number of comments or declarations
+ * The timings of the parsers only compare the same work if they find the same. Ex: a parser that reads a literal as code may skip the comments that follow it
+ *
+ * @param parser dox.js module
+ * @param baseline dox.js module
+ * @param sources Array of sources
+ * @return Number of sources
+ */
+function countDifferences(parser, baseline, sources){
+  return sources.filter(function(source){
+    return parser.parseComments(source).length !== baseline.parseComments(source).length ||
+      (baseline.parseDeclarations && parser.parseDeclarations(source).length !== baseline.parseDeclarations(source).length);
+  }).length;
+}// countDifferences
+
+
+/**
+ * Times the parsing of the sources, once
+ *
+ * @param parser dox.js module
+ * @param functions Names of the functions of the parser that are called for each source. Ex: parseComments
+ * @param sources Array of sources
+ * @return Duration in ms
+ */
+function time(parser, functions, sources){
+  var start = process.hrtime.bigint();
+
+  sources.forEach(function(source){
+    functions.forEach(function(name){
+      parser[name](source);
+    });
+  });
+
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}// time
+
+
+var
+  iterations = Number(getOption('--iterations') || 5),
+  corpusPath = getOption('--corpus'),
+  baselinePath = getOption('--baseline'),
+  baseline = baselinePath ? requireIsolated(path.resolve(baselinePath, 'lib/dox.js')) : null,
+  // Both parsers are timed on the same functions
+  functions = PARSE_FUNCTIONS.filter(function(name){
+    return typeof dox[name] === 'function' && (!baseline || typeof baseline[name] === 'function');
+  }),
+  sources = corpusPath ? listFiles(path.resolve(corpusPath)).map(function(filePath){
+    return fs.readFileSync(filePath, 'utf8');
+  }) : corpus.generate(),
+  size = sources.reduce(function(total, source){
+    return total + source.length;
+  }, 0) * iterations,
+  failed,
+  duration = 0,
+  baselineDuration = 0,
+  differences
+  ;
+
+console.log('Fixtures');
+failed = checkFixtures(dox, getOption('--update'));
+
+// The behaviours are only checked for the current version, since the baseline may not have them
+console.log('\nBehaviours');
+failed += checkBehaviours(getOption('--update'));
+
+if (baseline){
+  console.log('\nFixtures (baseline)');
+  checkFixtures(baseline, false, 'differs');
+}
+
+console.log('\nParsing ' + sources.length + ' ' + (corpusPath ? 'files of ' + corpusPath : 'generated files') + ' ' + iterations + ' times (' + (size / 1024 / 1024).toFixed(1) + ' MB) with ' + functions.join(', '));
+
+// The sources are parsed once before they are timed, so that the compilation of the parsers by the JavaScript engine is not timed
+time(dox, functions, sources);
+if (baseline){
+  time(baseline, functions, sources);
+}
+
+// The parsers take turns, so that a slowdown of the machine affects both
+for (var i = 0; i < iterations; i++){
+  duration += time(dox, functions, sources);
+  baselineDuration += baseline ? time(baseline, functions, sources) : 0;
+}
+
+console.log('  current   ' + duration.toFixed(0) + ' ms');
+
+if (baseline){
+  differences = countDifferences(dox, baseline, sources);
+
+  console.log('  baseline  ' + baselineDuration.toFixed(0) + ' ms (current is ' + (baselineDuration / duration).toFixed(2) + 'x as fast)');
+  if (differences){
+    console.log('  The baseline doesn\'t find the same number of comments or declarations in ' + differences + ' of the files: the timings don\'t compare the same work');
+  }
+}
+
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,145 @@
+// Node API
+// Ex: require('plsql-to-markdown').generate(config).then(function(result){...})
+var
+  createPmd = require('./lib/pmd.js'),
+  errors = require('./lib/errors.js')
+  ;
+
+
+/**
+ * Generates the documentation of a project
+ *
+ * @param config Config of a project (as in the config file, see docs/config.json.md)
+ * @param options optional - {name, basePath, out (see pmd.prepareConfig), dryRun: don't write any file, quiet: don't print warnings (default true), debug}
+ * @return Promise of {config, objects: data of each object, documents: [{path, content}], warnings: [{file, line, message}]}
+ */
+function generate(config, options){
+  return new Promise(function(resolve){
+    var
+      pmd = create(options),
+      objs
+      ;
+
+    config = pmd.prepareConfig(config, options);
+    objs = pmd.generateDocs(config, pmd.generateData(config));
+
+    resolve({
+      config: config,
+      objects: objs.map(function(obj){
+        return obj.fileData;
+      }),
+      documents: pmd.documents,
+      warnings: pmd.warnings
+    });
+  }).catch(rejectTyped);
+}// generate
+
+
+/**
+ * Checks the documentation of a project (see docs/check.md). Nothing is written
+ *
+ * @param config Config of a project
+ * @param options optional - Same as generate. {threshold} optional - Default config.check.threshold
+ * @return Promise of the report (see pmd.checkDocs) with the warnings
+ */
+function check(config, options){
+  return new Promise(function(resolve){
+    var
+      pmd = create(options),
+      report
+      ;
+
+    config = pmd.prepareConfig(config, options);
+    report = pmd.checkDocs(pmd.generateData(config), options && options.threshold !== undefined ? options.threshold : config.check.threshold);
+    report.warnings = pmd.warnings;
+
+    resolve(report);
+  }).catch(rejectTyped);
+}// check
+
+
+/**
+ * Parses the source of a file
+ * Links and anchors are not resolved since they depend on the other objects of the project
+ *
+ * @param source PL/SQL source
+ * @param options optional - {fileName, name, projectDispName} (see pmd.parse), quiet (default true)
+ * @return data of the object or null if the source has nothing to document. data.warnings contains the warnings
+ */
+function parse(source, options){
+  var
+    pmd = create(options),
+    data
+    ;
+
+  try {
+    data = pmd.parse(source, options);
+  }
+  catch (e){
+    throw toPmdError(e);
+  }
+
+  if (data){
+    data.warnings = pmd.warnings;
+  }
+
+  return data;
+}// parse
+
+
+/**
+ * Compares two versions of the sources (see docs/diff.md)
+ *
+ * @param oldSource Folder or git revision (Ex: v1.2.0, main:src/packages) of the old version
+ * @param newSource Folder or git revision of the new version
+ * @param options optional - {quiet (default true), debug}
+ * @return Promise of the report (see pmd.diffModels)
+ */
+function diff(oldSource, newSource, options){
+  return new Promise(function(resolve){
+    var pmd = create(options);
+
+    resolve(pmd.diffModels(pmd.buildSourceModel(oldSource), pmd.buildSourceModel(newSource)));
+  }).catch(rejectTyped);
+}// diff
+
+
+/**
+ * Returns a typed error (see lib/errors.js). Unexpected errors (Ex: a TypeError) are wrapped in a ProcessingError
+ *
+ * @param e Error
+ * @return PmdError. cause: the unexpected error
+ */
+function toPmdError(e){
+  return e instanceof errors.PmdError ? e : new errors.ProcessingError((e && e.message) || String(e), {cause: e});
+}// toPmdError
+
+
+// Rejects the promise of a call with a typed error
+function rejectTyped(e){
+  throw toPmdError(e);
+}// rejectTyped
+
+
+// The API doesn't print anything unless asked to
+function create(options){
+  options = options || {};
+
+  return createPmd({
+    quiet: options.quiet === undefined ? true : options.quiet,
+    dryRun: options.dryRun,
+    debug: options.debug
+  });
+}// create
+
+
+module.exports = {
+  generate: generate,
+  check: check,
+  parse: parse,
+  diff: diff,
+  PmdError: errors.PmdError,
+  UsageError: errors.UsageError,
+  ConfigError: errors.ConfigError,
+  ProcessingError: errors.ProcessingError
+};
@@ -4,27 +4,34 @@ var
   fs = require('./fs.js')
 ;
 
-var debug = {};
+/**
+ * Creates a debug logger. Each instance of pmd has its own (see pmd.js)
+ *
+ * @return debug
+ */
+module.exports = function(){
+  var debug = {};
 
-debug.debug = false;
-debug._folderPath = path.resolve(__dirname, '../debug');
+  debug.debug = false;
+  debug._folderPath = path.resolve(__dirname, '../debug');
 
-debug.log = function(){
-  if (debug.debug){
-    console.log.apply(console.log, arguments);
-  }
-}//debug
+  debug.log = function(){
+    if (debug.debug){
+      console.log.apply(console.log, arguments);
+    }
+  }//debug
 
-debug.logFile = function (fileName, fileContent){
-  fs.writeFileSync(
-    path.resolve(debug._folderPath, fileName),
-    fileContent);
-}// debug.logFile
+  debug.logFile = function (fileName, fileContent){
+    fs.writeFileSync(
+      path.resolve(debug._folderPath, fileName),
+      fileContent);
+  }// debug.logFile
 
-debug.setup = function (){
-  if (debug.debug) {
-    fs.emptyDirSync(debug._folderPath);
-  }
-}// debug.setup
+  debug.setup = function (){
+    if (debug.debug) {
+      fs.emptyDirSync(debug._folderPath);
+    }
+  }// debug.setup
 
-module.exports = debug;
+  return debug;
+};// module.exports
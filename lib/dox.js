@@ -1,192 +1,1670 @@
 //Overloaded dox.js
 
 var
-  dox = require('dox')
+  dox = require('dox'),
+  extend = require('node.extend'),
+  lexer = require('./lexer.js'),
+  parseTag = dox.parseTag // Parser of dox, see dox.parseTag
   ;
 
-// Overwrite context patterns for Oracle
-dox.contextPatternMatchers = [
-  //Package or types
-  function (str) {
-    if (/^\s*(create)[\w\s]*\s(package|type|view)\s+([\w$]+)\s*/i.exec(str)) {
-      return {
-        type: 'global'
-        , name: RegExp.$3
-        // Split on ";" for pks files. This may occur when on JavaDoc fn then another fn without JavaDoc
-        , header: str.split(/(\s+(as|is|begin)\s+|;)/gi)[0]
-      };
-    }
-  },
-
-  //Procedure/Function
-  function (str) {
-    if (/^\s*(cursor|procedure|function)\s+([\w$]+)\s*/i.exec(str)) {
-      return {
-        type: RegExp.$1.toLowerCase()
-        , name: RegExp.$2
-        // Split on ";" for pks files. This may occur when on JavaDoc fn then another fn without JavaDoc
-        , header: str.split(/(\s+(as|is|begin)\s+|;)/gi)[0]
-      };
-    }
-  },
-
-  //Constants
-  function (str) {
-    // #40 fix for the following situation
-    // <blank line>
-    // -- comment
-    // gc_hash_md4 constant pls_integer := 1;
-    // If we don't remove blank lines and spaces to start then it won't find constant tag
-    let checkStr = str;
-    checkStr = checkStr.replace(/^\s*\n/gm, '');
-    checkStr = checkStr.replace(/^\s*-{2,}.*\n/gm, '');
-
-    if (/^\s*[\w$]+\s+constant\s+/i.exec(checkStr)) {
-      // #40 fix for comments above a constant
-      str = str.replace(/^\s*--.*$/mg, '');
-
-      var
-        ret = {
-          type : 'constants',
-          header : str,
-          constants : []
-        },
-        constantsArr = str.split(';')
-        ;
-
-      constantsArr.forEach(function(constant){
-        // Comments after constants may still be in the array.
-        // As such only allow definitions of constants
-        if (/^\s*\w+\s+constant\s+.+(default|:=).+$/gi.test(constant)){
-          var
-            myConstant = {
-              name : '',
-              // Remove any "\n" and the begining
-              code : constant.replace(/^[\n]*/, '') + ';' //Need to re-append missing ";" since removed with .split
-            }
-            ;
-
-          /^\s*([\w]+)\s+constant\s+/i.exec(constant);
-          myConstant.name = RegExp.$1.trim();
-
-          ret.constants.push(myConstant);
-        }// if constant
-      });//constantsArr.forEach
-
-      return ret;
-    }// if constant
-  },
-
-  //Exceptions
-  function (str) {
-    if (/(^[\w]+)(\s+)(exception)/i.exec(str)) {
-      // #40 fix for comments above a constant
-      str = str.replace(/^\s*--.*$/mg, '');
-
-      var
-        ret = {
-          type : 'exceptions',
-          header : str,
-          exceptions : []
-        },
-        exceptionsArr = str.split(';')
-        ;
-
-      exceptionsArr.forEach(function(exception){
-        // Comments after exceptions may still be in the array.
-        // As such only allow definitions of exceptions
-        if (/^\s*\w+\s+exception(?!_).*$/gi.test(exception)){
-          var
-            myException = {
-              name : '',
-              // Remove any "\n" and the begining
-              code : exception.replace(/^[\n]*/, '') + ';' //Need to re-append missing ";" since removed with .split
-            }
-            ;
-
-          /^\s*([\w]+)\s+exception(\s*)/i.exec(exception);
-          myException.name = RegExp.$1.trim();
-
-          ret.exceptions.push(myException);
-        }// if exception
-      });//exceptionsArr.forEach
-
-      return ret;
-    }// if exception
-  },
-
-  //Types
-  function (str) {
-    // #43: Add support for subtype
-    if (/^\s*(type|subtype)\s+/i.exec(str)) {
-      var
-        typesArr = str.split(';'),
-        types = [];
-
-      // Added in the typesArr[k] since there's a blank array element at end
-      // TODO mdsouza: changet this to base name and code variables
-      for(var i = 0; i < typesArr.length && typesArr[i]; i++){
-        var myType = {
-          name : '',
-          // Remove any "\n" and the begining
-          code : typesArr[i].replace(/^[\n]*/, '') + ';', //Need to re-append missing ";" since removed with .split
-        };
-
-        // #28
-        if (/^\s*(type|subtype)/i.test(myType.code)){
-          myType.name = myType.code.match(/\s*(type|subtype)\s+\w+/gi)[0].replace(/^\s*(type|subtype)/gi, '').trim();
-          types.push(myType);
+// Keywords that may follow the return type of a function
+var SIGNATURE_CLAUSES = ['pipelined', 'deterministic', 'result_cache', 'parallel_enable', 'aggregate', 'authid', 'accessible', 'sql_macro', 'polymorphic'];
+
+/**
+ * Splits a string on a separator character, ignoring separators found inside
+ * parentheses, string literals, quoted identifiers and comments
+ * Comments are replaced with whitespace
+ *
+ * @param str String to split
+ * @param separator Single character to split on. Default ","
+ * @return Array of (untrimmed) parts
+ */
+dox.splitTopLevel = function(str, separator){
+  return splitTokens(str, lexer.tokenize(str), separator);
+}// splitTopLevel
+
+
+/**
+ * Splits a string on a separator character, from its tokens (see splitTopLevel)
+ *
+ * @param str String to split
+ * @param tokens Tokens of str (see lexer.tokenize)
+ * @param separator Single character to split on. Default ","
+ * @param start optional - Position of the first part in str. Default 0. Ex: after the "(" of a parameter list
+ * @return Array of (untrimmed) parts
+ */
+function splitTokens(str, tokens, separator, start){
+  var
+    code = blankComments(str, tokens),
+    parts = [],
+    depth = 0
+    ;
+
+  separator = separator || ',';
+  start = start || 0;
+
+  tokens.forEach(function(token){
+    if (token.type !== lexer.TYPES.SYMBOL){
+      return;
+    }
+
+    if (token.value === '('){
+      depth++;
+    }
+    else if (token.value === ')'){
+      depth--;
+    }
+    else if (token.value === separator && depth === 0){
+      parts.push(code.slice(start, token.start));
+      start = token.end;
+    }
+  });//tokens.forEach
+
+  parts.push(code.slice(start));
+
+  return parts;
+}// splitTokens
+
+
+/**
+ * Returns the position of the closing parenthesis that matches the opening one at pos
+ *
+ * @param str
+ * @param pos Position of the opening "("
+ * @return Position of the matching ")" or -1 if not found
+ */
+dox.findClosingParen = function(str, pos){
+  var closingPos = tokenizeParens(str.slice(pos)).closingPos;
+
+  return closingPos === -1 ? -1 : pos + closingPos;
+}// findClosingParen
+
+
+/**
+ * Splits code that starts with "(" into tokens, up to the matching ")"
+ *
+ * @param str Code. Ex: the parameters of a procedure followed by the rest of its header
+ * @return {tokens, closingPos}: tokens (see lexer.tokenize), the ")" included. closingPos: position of the ")" or -1 if not found
+ */
+function tokenizeParens(str){
+  var
+    depth = 0,
+    closingPos = -1,
+    tokens
+    ;
+
+  tokens = lexer.tokenize(str, function(token){
+    if (token.type === lexer.TYPES.SYMBOL){
+      if (token.value === '('){
+        depth++;
+      }
+      else if (token.value === ')' && --depth === 0){
+        closingPos = token.start;
+        return true;
+      }
+    }
+    return false;
+  });
+
+  return {
+    tokens: tokens,
+    closingPos: closingPos
+  };
+}// tokenizeParens
+
+
+/**
+ * Parses a datatype into its name and optional %type / %rowtype anchor
+ *
+ * @param str Datatype. Ex: varchar2(30), emp.ename%type, emp%rowtype
+ * @return {dataType, anchor} where anchor is null or {name, attribute}
+ */
+dox.parseDataType = function(str){
+  var
+    dataType = (str || '').replace(/\s+/g, ' ').trim(),
+    anchorMatch = dataType.match(/^([\w$#."]+)\s*%\s*(type|rowtype)$/i)
+    ;
+
+  return {
+    dataType: dataType,
+    anchor: anchorMatch ? {
+      name: anchorMatch[1],
+      attribute: anchorMatch[2].toLowerCase()
+    } : null
+  };
+}// parseDataType
+
+
+/**
+ * Parses a single parameter declaration
+ *
+ * @param str Ex: p_name in out nocopy varchar2 default 'x'
+ * @return Parameter object or null if it can't be parsed
+ */
+dox.parseParameter = function(str){
+  var
+    paramMatch = str.replace(/\s+/g, ' ').trim().match(/^("[^"]+"|[\w$#]+)\s+(.*)$/),
+    param,
+    rest,
+    modeMatch,
+    defaultMatch
+    ;
+
+  if (!paramMatch){
+    return null;
+  }
+
+  param = {
+    name: paramMatch[1],
+    mode: 'in',
+    nocopy: false,
+    dataType: '',
+    anchor: null,
+    default: null,
+    hasDefault: false
+  };
+  rest = paramMatch[2];
+
+  modeMatch = rest.match(/^(in\s+out|in|out)\b\s*/i);
+  if (modeMatch){
+    param.mode = modeMatch[1].replace(/\s+/, ' ').toLowerCase();
+    rest = rest.slice(modeMatch[0].length);
+  }
+
+  if (/^nocopy\b/i.test(rest)){
+    param.nocopy = true;
+    rest = rest.replace(/^nocopy\s*/i, '');
+  }
+
+  // The datatype can't contain ":=" or "default" so the first match starts the default value
+  defaultMatch = rest.match(/\s*(:=|\bdefault\b)\s*/i);
+  if (defaultMatch){
+    param.default = rest.slice(defaultMatch.index + defaultMatch[0].length).trim();
+    param.hasDefault = true;
+    rest = rest.slice(0, defaultMatch.index);
+  }
+
+  extend(param, dox.parseDataType(rest));
+
+  return param;
+}// parseParameter
+
+
+/**
+ * Parses the header of a procedure, function or cursor into a structured signature
+ *
+ * @param header Ex: function f(p_id in number) return varchar2 deterministic
+ * @return Signature object
+ */
+dox.parseSignature = function(header){
+  var
+    signature = {
+      params: [],
+      return: null,
+      pipelined: false,
+      deterministic: false,
+      resultCache: false,
+      parallelEnable: false,
+      clauses: []
+    },
+    rest = (header || '').trim(),
+    nameMatch = rest.match(/^(cursor|procedure|function)\s+("[^"]+"|[\w$#.]+)\s*/i),
+    params,
+    closingPos
+    ;
+
+  if (!nameMatch){
+    return signature;
+  }
+
+  rest = rest.slice(nameMatch[0].length);
+
+  // Parameters
+  if (rest[0] === '('){
+    // The parameters are tokenized once: to find their end and to split them
+    params = tokenizeParens(rest);
+    closingPos = params.closingPos === -1 ? rest.length : params.closingPos;
+
+    splitTokens(rest.slice(0, closingPos), params.tokens.slice(1, params.closingPos === -1 ? undefined : -1), ',', 1).forEach(function(paramStr){
+      var param = dox.parseParameter(paramStr);
+      if (param){
+        signature.params.push(param);
+      }
+    });
+
+    rest = rest.slice(closingPos + 1);
+  }
+
+  rest = rest.replace(/--.*$/mg, '').replace(/\s+/g, ' ').trim();
+
+  // Return type: read until the first clause keyword
+  if (/^return\s/i.test(rest)){
+    var
+      returnType = [],
+      words = rest.replace(/^return\s+/i, '').split(' ')
+      ;
+
+    while (words.length && SIGNATURE_CLAUSES.indexOf(words[0].replace(/\(.*$/, '').toLowerCase()) === -1){
+      returnType.push(words.shift());
+    }
+
+    signature.return = dox.parseDataType(returnType.join(' '));
+    rest = words.join(' ');
+  }
+
+  // Clauses. Ex: parallel_enable (partition p by any) result_cache relies_on (t)
+  while (rest.length){
+    var
+      clauseMatch = rest.match(/^(\w+)\s*/),
+      clause,
+      clauseArgs = ''
+      ;
+
+    if (!clauseMatch){
+      break;
+    }
+
+    clause = clauseMatch[1].toLowerCase();
+    rest = rest.slice(clauseMatch[0].length);
+
+    // Clauses keywords which take a value
+    if (clause === 'result_cache' && /^relies_on\b/i.test(rest)){
+      rest = rest.replace(/^relies_on\s*/i, '');
+      clauseArgs = 'relies_on ';
+    }
+    else if ((clause === 'authid' || clause === 'aggregate') && /^\w+/.test(rest)){
+      clauseArgs = rest.match(/^[\w.]+(\s+[\w.]+)?/)[0];
+      rest = rest.slice(clauseArgs.length);
+    }
+    else if (clause === 'accessible' && /^by\b/i.test(rest)){
+      rest = rest.replace(/^by\s*/i, '');
+      clauseArgs = 'by ';
+    }
+
+    if (rest[0] === '('){
+      closingPos = dox.findClosingParen(rest, 0);
+      closingPos = closingPos === -1 ? rest.length - 1 : closingPos;
+      clauseArgs += rest.slice(0, closingPos + 1);
+      rest = rest.slice(closingPos + 1);
+    }
+
+    rest = rest.trim();
+    clauseArgs = clauseArgs.trim();
+
+    switch (clause) {
+      case 'pipelined':
+        signature.pipelined = true;
+        break;
+      case 'deterministic':
+        signature.deterministic = true;
+        break;
+      case 'result_cache':
+        signature.resultCache = clauseArgs ? {
+          reliesOn: clauseArgs.replace(/^relies_on\s*\(|\)$/gi, '').split(',').map(function(name){
+            return name.trim();
+          })
+        } : true;
+        break;
+      case 'parallel_enable':
+        signature.parallelEnable = clauseArgs ? {partition: clauseArgs.replace(/^\(|\)$/g, '').trim()} : true;
+        break;
+    }
+
+    signature.clauses.push((clause + ' ' + clauseArgs).trim());
+  }//while
+
+  return signature;
+}// parseSignature
+
+
+/**
+ * Parses the declaration of a ref cursor type
+ *
+ * @param code Declaration of a type. Ex: type t_emp_cur is ref cursor return emp%rowtype;, subtype t_cur is sys_refcursor;
+ * @return {returnType} or null if it isn't a ref cursor. returnType: {dataType, anchor} (see parseDataType), null for weak ref cursors
+ */
+dox.parseRefCursor = function(code){
+  var refCursorMatch = dox.stripComments(code || '').match(/^\s*(?:sub)?type\s+(?:"[^"]+"|[\w$#]+)\s+is\s+(?:ref\s+cursor(?:\s+return\s+([^;]+?))?|sys_refcursor)\s*;?\s*$/i);
+
+  if (!refCursorMatch){
+    return null;
+  }
+
+  return {
+    returnType: refCursorMatch[1] ? dox.parseDataType(refCursorMatch[1]) : null
+  };
+}// parseRefCursor
+
+
+/**
+ * Replaces comments with whitespace. Line breaks are kept so line numbers don't change
+ *
+ * @param str
+ * @return str without comments
+ */
+dox.stripComments = function(str){
+  if (str.indexOf('--') === -1 && str.indexOf('/*') === -1){
+    return str;
+  }
+
+  return blankComments(str, lexer.findComments(str));
+}// stripComments
+
+
+/**
+ * Replaces the comments of the tokens with whitespace (see stripComments)
+ *
+ * @param str
+ * @param tokens Tokens of str (see lexer.tokenize). Tokens that are not comments are ignored
+ * @return str without comments
+ */
+function blankComments(str, tokens){
+  var
+    parts = [],
+    pos = 0
+    ;
+
+  tokens.forEach(function(token){
+    if (token.type === lexer.TYPES.COMMENT){
+      parts.push(str.slice(pos, token.start), token.value.split('\n').map(function(line){
+        return ' '.repeat(line.length);
+      }).join('\n'));
+      pos = token.end;
+    }
+  });
+  parts.push(str.slice(pos));
+
+  return parts.join('');
+}// blankComments
+
+
+// Modifiers and kind of methods in object types. Ex: overriding member function, constructor function, map member function
+var TYPE_METHOD_REGEXP = /^\s*,?\s*((?:(?:not\s+)?(?:overriding|final|instantiable)\s+)*)((?:map\s+|order\s+)?member|static|constructor)\s+(function|procedure)\s+("[^"]+"|[\w$#]+)/i;
+
+/**
+ * Parses the modifiers of an object type method
+ *
+ * @param modifiers Ex: not final overriding
+ * @param memberKind Ex: map member, static, constructor
+ * @return {memberKind, isOverriding, isFinal, isInstantiable}
+ */
+function parseTypeMethodModifiers(modifiers, memberKind){
+  modifiers = modifiers.replace(/\s+/g, ' ').toLowerCase();
+
+  return {
+    memberKind: memberKind.replace(/\s+/g, ' ').toLowerCase(),
+    isOverriding: /(^| )overriding/.test(modifiers) && !/not overriding/.test(modifiers),
+    isFinal: /(^| )final/.test(modifiers) && !/not final/.test(modifiers),
+    isInstantiable: !/not instantiable/.test(modifiers)
+  };
+}// parseTypeMethodModifiers
+
+
+/**
+ * Parses the specification of a SQL type (object, collection or subtype)
+ *
+ * @param str Source code containing the "create type" statement
+ * @return Object type details or null if no type specification was found
+ */
+dox.parseObjectType = function(str){
+  var
+    code = dox.stripComments(str),
+    typeMatch = code.match(/\bcreate\s+(or\s+replace\s+)?((non)?editionable\s+)?type\s+(?!body\b)("[^"]+"|[\w$#.]+)/i),
+    objectType,
+    rest,
+    bodyMatch,
+    openPos,
+    closingPos,
+    tail
+    ;
+
+  if (!typeMatch){
+    return null;
+  }
+
+  objectType = {
+    kind: '',
+    supertype: null,
+    elementType: null,
+    isFinal: true,
+    isInstantiable: true,
+    attributes: [],
+    methods: []
+  };
+
+  // Only look at the current statement
+  rest = code.slice(typeMatch.index + typeMatch[0].length).split(/;|^\s*\/\s*$/m)[0];
+
+  // Collections: as table of <type> / as varray(n) of <type>
+  bodyMatch = rest.match(/\b(?:as|is)\s+(table|varray\s*\([^)]*\)|varying\s+array\s*\([^)]*\))\s+of\s+([\s\S]+)$/i);
+  if (bodyMatch){
+    objectType.kind = /^table/i.test(bodyMatch[1]) ? 'table' : 'varray';
+    objectType.elementType = dox.parseDataType(bodyMatch[2].replace(/\s+not\s+null\s*$/i, ''));
+    return objectType;
+  }
+
+  bodyMatch = rest.match(/\b(?:(?:as|is)\s+object|under\s+("[^"]+"|[\w$#.]+))\s*\(/i);
+  if (!bodyMatch){
+    // Ex: incomplete type (create type x;) or ref cursor
+    objectType.kind = 'other';
+    return objectType;
+  }
+
+  objectType.kind = 'object';
+  if (bodyMatch[1]){
+    objectType.supertype = {
+      name: bodyMatch[1]
+    };
+  }
+
+  // Find the matching ")" on the full statement, as ";" may occur in literals
+  openPos = typeMatch.index + typeMatch[0].length + bodyMatch.index + bodyMatch[0].length - 1;
+  closingPos = dox.findClosingParen(code, openPos);
+  closingPos = closingPos === -1 ? code.length : closingPos;
+  tail = code.slice(closingPos + 1).split(/;|^\s*\/\s*$/m)[0].replace(/\s+/g, ' ').toLowerCase();
+
+  objectType.isFinal = !/\bnot final\b/.test(tail);
+  objectType.isInstantiable = !/\bnot instantiable\b/.test(tail);
+
+  dox.splitTopLevel(code.slice(openPos + 1, closingPos)).forEach(function(element){
+    var
+      methodMatch = element.match(TYPE_METHOD_REGEXP),
+      attributeMatch
+      ;
+
+    if (methodMatch){
+      var header = element.replace(/^\s*,?\s*/, '').replace(/\s+$/, '');
+
+      objectType.methods.push(extend({
+        type: methodMatch[3].toLowerCase(),
+        name: methodMatch[4],
+        header: header,
+        signature: dox.parseSignature(header.slice(header.search(/\b(function|procedure)\b/i)))
+      }, parseTypeMethodModifiers(methodMatch[1], methodMatch[2])));
+    }
+    else if (!/^\s*pragma\b/i.test(element) && (attributeMatch = element.trim().match(/^("[^"]+"|[\w$#]+)\s+([\s\S]+)$/))){
+      objectType.attributes.push(extend({
+        name: attributeMatch[1]
+      }, dox.parseDataType(attributeMatch[2])));
+    }
+  });//elements
+
+  return objectType;
+}// parseObjectType
+
+
+// Object kinds that can be documented as a file. The order is used for the TOC sections
+dox.OBJECT_KINDS = ['package', 'type', 'view', 'function', 'procedure', 'trigger', 'table', 'sequence'];
+
+// Matches a "create" statement of an object. Ex: create or replace editionable function schema.my_fn
+var CREATE_REGEXP = new RegExp('^\\s*create\\s+(?:or\\s+replace\\s+)?((?:[\\w]+\\s+)*?)(' + dox.OBJECT_KINDS.join('|') + ')(\\s+body)?\\s+(?:[\\w$#"]+\\.)?("[^"]+"|[\\w$#]+)', 'im');
+
+// Keywords that end the datatype of a column and start its inline constraints
+var COLUMN_KEYWORDS_REGEXP = /\b(default|not\s+null|null|constraint|primary\s+key|unique|references|check|generated|invisible|visible|encrypt|collate)\b/i;
+
+// Start of an inline constraint of a column
+var CONSTRAINT_START_REGEXP = /\b(constraint\s+\S+\s+)?(not\s+null|null|primary\s+key|unique|references|check)\b/i;
+
+
+/**
+ * Masks the content of parentheses and string literals with spaces so keywords in them are not matched
+ *
+ * @param str
+ * @return str with the same length
+ */
+function maskNested(str){
+  var prev;
+
+  str = str.replace(/'(?:[^']|'')*'/g, function(match){
+    return match.replace(/./g, ' ');
+  });
+
+  do {
+    prev = str;
+    str = str.replace(/\([^()]*\)/g, function(match){
+      return match.replace(/./g, ' ');
+    });
+  } while (str !== prev);
+
+  return str;
+}// maskNested
+
+
+/**
+ * Returns the list of names in a parenthesized list
+ *
+ * @param str Ex: (col1, col2)
+ * @return Array of names
+ */
+function parseNameList(str){
+  return (str || '').replace(/^\s*\(|\)\s*$/g, '').split(',').map(function(name){
+    return name.trim();
+  }).filter(function(name){
+    return name.length > 0;
+  });
+}// parseNameList
+
+
+/**
+ * Unescapes a PL/SQL string literal
+ *
+ * @param str Content of the literal, without the surrounding quotes
+ * @return Unescaped string
+ */
+function unquote(str){
+  return str.replace(/''/g, "'");
+}// unquote
+
+
+/**
+ * Parses an inline or out of line constraint
+ *
+ * @param str Ex: constraint emp_pk primary key (emp_id)
+ * @return {name, type, columns, references, condition} or null
+ */
+dox.parseConstraint = function(str){
+  var
+    constraint = {
+      name: null,
+      type: '',
+      columns: [],
+      references: null,
+      condition: null
+    },
+    rest = str.replace(/\s+/g, ' ').trim(),
+    nameMatch = rest.match(/^constraint\s+("[^"]+"|[\w$#]+)\s*/i),
+    typeMatch,
+    referencesMatch
+    ;
+
+  if (nameMatch){
+    constraint.name = nameMatch[1];
+    rest = rest.slice(nameMatch[0].length);
+  }
+
+  typeMatch = rest.match(/^(primary\s+key|unique|foreign\s+key|references|check|not\s+null)\s*/i);
+  if (!typeMatch){
+    return null;
+  }
+
+  constraint.type = typeMatch[1].replace(/\s+/g, ' ').toLowerCase();
+  rest = rest.slice(typeMatch[0].length);
+
+  if (constraint.type === 'check'){
+    constraint.condition = rest.slice(1, dox.findClosingParen(rest, 0)).trim();
+    return constraint;
+  }
+
+  if (rest[0] === '(' && constraint.type !== 'references'){
+    constraint.columns = parseNameList(rest.slice(0, dox.findClosingParen(rest, 0) + 1));
+    rest = rest.slice(dox.findClosingParen(rest, 0) + 1).trim();
+  }
+
+  referencesMatch = (constraint.type === 'references' ? 'references ' + rest : rest).match(/^references\s+(?:[\w$#"]+\.)?("[^"]+"|[\w$#]+)\s*(\([^)]*\))?/i);
+  if (referencesMatch){
+    constraint.type = 'foreign key';
+    constraint.references = {
+      table: referencesMatch[1],
+      columns: parseNameList(referencesMatch[2])
+    };
+  }
+
+  return constraint;
+}// parseConstraint
+
+
+/**
+ * Parses a column definition of a table
+ *
+ * @param str Ex: emp_id number(10) not null constraint emp_pk primary key
+ * @return Column object or null
+ */
+dox.parseColumn = function(str){
+  var
+    colMatch = str.trim().match(/^("[^"]+"|[\w$#]+)\s+([\s\S]+)$/),
+    column,
+    rest,
+    keywordPos
+    ;
+
+  if (!colMatch){
+    return null;
+  }
+
+  column = {
+    name: colMatch[1],
+    dataType: '',
+    nullable: true,
+    default: null,
+    constraints: [],
+    comment: ''
+  };
+  rest = colMatch[2].replace(/\s+/g, ' ').trim();
+
+  keywordPos = maskNested(rest).search(COLUMN_KEYWORDS_REGEXP);
+  column.dataType = (keywordPos === -1 ? rest : rest.slice(0, keywordPos)).trim();
+  rest = keywordPos === -1 ? '' : rest.slice(keywordPos);
+
+  // Default value ends at the first constraint
+  if (/^default\s/i.test(rest)){
+    var
+      value = rest.replace(/^default\s+(on\s+null\s+)?/i, ''),
+      // "default null" is a value, not the null constraint
+      skip = /^null\b/i.test(value) ? 4 : 0,
+      valueEnd = maskNested(value.slice(skip)).search(CONSTRAINT_START_REGEXP)
+      ;
+
+    valueEnd = valueEnd === -1 ? value.length : valueEnd + skip;
+    column.default = value.slice(0, valueEnd).trim();
+    rest = value.slice(valueEnd);
+  }
+
+  // Split the remaining text at each constraint
+  var
+    masked = maskNested(rest),
+    constraintRegexp = new RegExp(CONSTRAINT_START_REGEXP.source, 'gi'),
+    positions = [],
+    constraintMatch
+    ;
+
+  while ((constraintMatch = constraintRegexp.exec(masked)) !== null){
+    positions.push(constraintMatch.index);
+  }
+
+  positions.forEach(function(pos, i){
+    var
+      part = rest.slice(pos, positions[i + 1]),
+      constraint = dox.parseConstraint(part)
+      ;
+
+    if (constraint){
+      if (constraint.type === 'not null' || constraint.type === 'primary key'){
+        column.nullable = false;
+      }
+      if (constraint.type !== 'not null'){
+        column.constraints.push(constraint);
+      }
+    }
+  });//positions.forEach
+
+  return column;
+}// parseColumn
+
+
+/**
+ * Parses a "create table" statement and its "comment on" statements
+ *
+ * @param str Source code
+ * @return Table details or null if no table was found
+ */
+dox.parseTable = function(str){
+  var
+    code = dox.stripComments(str),
+    tableMatch = code.match(/\bcreate\s+((?:(?:global|private)\s+temporary|sharded|duplicated|blockchain|immutable)\s+)?table\s+(?:[\w$#"]+\.)?("[^"]+"|[\w$#]+)\s*\(/i),
+    table,
+    openPos,
+    closingPos,
+    commentRegexp = /\bcomment\s+on\s+(table|column)\s+([\w$#".]+)\s+is\s+'((?:[^']|'')*)'/gi,
+    commentMatch
+    ;
+
+  if (!tableMatch){
+    return null;
+  }
+
+  table = {
+    name: tableMatch[2],
+    isTemporary: /temporary/i.test(tableMatch[1] || ''),
+    comment: '',
+    columns: [],
+    constraints: []
+  };
+
+  openPos = tableMatch.index + tableMatch[0].length - 1;
+  closingPos = dox.findClosingParen(code, openPos);
+  closingPos = closingPos === -1 ? code.length : closingPos;
+
+  dox.splitTopLevel(code.slice(openPos + 1, closingPos)).forEach(function(element){
+    var item;
+
+    if (/^\s*(constraint\s|primary\s+key|unique|foreign\s+key|check)/i.test(element)){
+      item = dox.parseConstraint(element);
+      if (item){
+        table.constraints.push(item);
+      }
+    }
+    else if ((item = dox.parseColumn(element))){
+      table.columns.push(item);
+    }
+  });//elements
+
+  // Out of line constraints also apply to the columns
+  table.constraints.forEach(function(constraint){
+    if (constraint.type === 'primary key'){
+      table.columns.forEach(function(column){
+        if (constraint.columns.map(function(name){ return name.toLowerCase(); }).indexOf(column.name.toLowerCase()) !== -1){
+          column.nullable = false;
         }
+      });
+    }
+  });
+
+  while ((commentMatch = commentRegexp.exec(code)) !== null){
+    // Ex: [schema.]table or [schema.]table.column
+    var names = commentMatch[2].split('.').reverse();
+
+    if (commentMatch[1].toLowerCase() === 'table' && names[0].toLowerCase() === table.name.toLowerCase()){
+      table.comment = unquote(commentMatch[3]);
+    }
+    else if (commentMatch[1].toLowerCase() === 'column' && names.length > 1 && names[1].toLowerCase() === table.name.toLowerCase()){
+      table.columns.forEach(function(column){
+        if (column.name.toLowerCase() === names[0].toLowerCase()){
+          column.comment = unquote(commentMatch[3]);
+        }
+      });
+    }
+  }//while commentMatch
+
+  return table;
+}// parseTable
+
+
+/**
+ * Parses a "create sequence" statement
+ *
+ * @param str Source code
+ * @return Sequence details or null
+ */
+dox.parseSequence = function(str){
+  var
+    code = dox.stripComments(str),
+    seqMatch = code.match(/\bcreate\s+sequence\s+(?:[\w$#"]+\.)?("[^"]+"|[\w$#]+)([^;\/]*)/i),
+    options,
+    optionMatch
+    ;
+
+  if (!seqMatch){
+    return null;
+  }
+
+  options = seqMatch[2].replace(/\s+/g, ' ').toLowerCase();
+
+  function getOption(regexp){
+    optionMatch = options.match(regexp);
+    return optionMatch ? optionMatch[1] : null;
+  }
+
+  return {
+    name: seqMatch[1],
+    startWith: getOption(/\bstart with (-?\d+)/),
+    incrementBy: getOption(/\bincrement by (-?\d+)/),
+    minValue: getOption(/\bminvalue (-?\d+)/),
+    maxValue: getOption(/\bmaxvalue (-?\d+)/),
+    cycle: /\bcycle\b/.test(options) && !/\bnocycle\b/.test(options),
+    cache: /\bnocache\b/.test(options) ? null : getOption(/\bcache (\d+)/),
+    order: /\border\b/.test(options) && !/\bnoorder\b/.test(options)
+  };
+}// parseSequence
+
+
+/**
+ * Parses the header of a "create trigger" statement
+ *
+ * @param str Source code
+ * @return Trigger details or null
+ */
+dox.parseTrigger = function(str){
+  var
+    code = dox.stripComments(str).replace(/\s+/g, ' '),
+    triggerMatch = code.match(/\bcreate (?:or replace )?(?:(?:non)?editionable )?trigger (?:[\w$#"]+\.)?("[^"]+"|[\w$#]+) (before|after|instead of|for) (.+?) on ((?:nested table \S+ of )?(?:[\w$#"]+\.)?[\w$#"]+)(.*)$/i),
+    trigger,
+    rest
+    ;
+
+  if (!triggerMatch){
+    return null;
+  }
+
+  trigger = {
+    name: triggerMatch[1],
+    timing: triggerMatch[2].toLowerCase(),
+    events: [],
+    table: null,
+    target: 'table',
+    forEachRow: false,
+    when: null,
+    isCompound: false
+  };
+
+  triggerMatch[3].split(/ or /i).forEach(function(event){
+    var eventMatch = event.trim().match(/^(\w+)(?: of (.+))?$/i);
+
+    if (eventMatch){
+      trigger.events.push({
+        event: eventMatch[1].toLowerCase(),
+        columns: parseNameList(eventMatch[2])
+      });
+    }
+  });
+
+  if (/^(schema|database|pluggable database)$/i.test(triggerMatch[4].replace(/^\w+\./, ''))){
+    trigger.target = triggerMatch[4].toLowerCase();
+  }
+  else {
+    trigger.table = triggerMatch[4].replace(/^nested table \S+ of /i, '');
+    trigger.target = trigger.timing === 'instead of' ? 'view' : 'table';
+  }
+
+  // Only look at the text before the trigger body
+  rest = triggerMatch[5].split(/\b(declare|begin|call)\b/i)[0];
+
+  trigger.forEachRow = /\bfor each row\b/i.test(rest);
+  trigger.isCompound = /\bcompound trigger\b/i.test(rest);
+
+  if (/\bwhen\s*\(/i.test(rest)){
+    var whenPos = rest.search(/\bwhen\s*\(/i);
+
+    whenPos = rest.indexOf('(', whenPos);
+    trigger.when = rest.slice(whenPos + 1, dox.findClosingParen(rest, whenPos)).trim();
+  }
+
+  return trigger;
+}// parseTrigger
+
+
+/**
+ * Parses the main object of a file: the first "create" statement
+ *
+ * @param str Source code
+ * @return {kind, name, isBody} with the details of the kind (objectType, table, sequence, trigger or signature)
+ *  null if no "create" statement was found
+ */
+dox.parseObject = function(str){
+  var
+    code = dox.stripComments(str),
+    createMatch = code.match(CREATE_REGEXP),
+    object
+    ;
+
+  if (!createMatch){
+    return null;
+  }
+
+  object = {
+    kind: createMatch[2].toLowerCase(),
+    name: createMatch[4],
+    isBody: !!createMatch[3]
+  };
+
+  switch (object.kind) {
+    case 'type':
+      if (!object.isBody){
+        object.objectType = dox.parseObjectType(code);
+      }
+      break;
+    case 'function':
+    case 'procedure':
+      object.header = code.slice(createMatch.index).split(/(\s+(as|is)\s+|;)/i)[0].trim();
+      object.signature = dox.parseSignature(object.header.replace(/^\s*create\s+(or\s+replace\s+)?((\w+\s+)*?)(?=(function|procedure)\b)/i, ''));
+      break;
+    case 'table':
+      object.table = dox.parseTable(code);
+      break;
+    case 'sequence':
+      object.sequence = dox.parseSequence(code);
+      break;
+    case 'trigger':
+      object.trigger = dox.parseTrigger(code);
+      break;
+  }//switch
+
+  return object;
+}// parseObject
+
+
+// Words that can't start a variable declaration. Ex: statements of a body that follow a comment
+var STATEMENT_KEYWORDS = ['begin', 'end', 'declare', 'exception', 'pragma', 'create', 'alter', 'drop', 'grant', 'if', 'elsif', 'else', 'then', 'case', 'when', 'loop', 'for', 'forall', 'while', 'exit', 'continue', 'goto', 'return', 'raise', 'null', 'open', 'fetch', 'close', 'execute', 'select', 'insert', 'update', 'delete', 'merge', 'with', 'lock', 'commit', 'rollback', 'savepoint', 'set', 'pipe', 'procedure', 'function', 'cursor', 'type', 'subtype', 'member', 'static', 'constructor', 'map', 'order', 'overriding', 'final', 'instantiable', 'not'];
+
+// Modifiers of object type methods. Ex: not final, overriding
+var TYPE_METHOD_MODIFIERS = ['not', 'overriding', 'final', 'instantiable'];
+
+// Declaration type => context type (see parseContext)
+var LIST_TYPES = {
+  constant: 'constants',
+  exception: 'exceptions',
+  type: 'types',
+  variable: 'variables'
+};
+
+
+/**
+ * Returns the keyword of a token
+ *
+ * @param token optional
+ * @return Lower case value of a word token, otherwise null
+ */
+function keyword(token){
+  return token && token.type === lexer.TYPES.WORD ? token.value.toLowerCase() : null;
+}// keyword
+
+
+/**
+ * Returns true if the token is a name: a word or a quoted identifier
+ *
+ * @param token optional
+ * @return boolean
+ */
+function isName(token){
+  return !!token && (token.type === lexer.TYPES.WORD || token.type === lexer.TYPES.IDENTIFIER);
+}// isName
+
+
+/**
+ * Returns true if the token is the symbol
+ *
+ * @param token optional
+ * @param symbol Ex: ;
+ * @return boolean
+ */
+function isSymbol(token, symbol){
+  return !!token && token.type === lexer.TYPES.SYMBOL && token.value === symbol;
+}// isSymbol
+
+
+/**
+ * Matches a declaration that starts at a token
+ *
+ * @param tokens Tokens of the code (see lexer.codeTokens)
+ * @param i Index of the first token of the declaration
+ * @return {type, name, line, index, modifiers, memberKind} or null
+ *  type: procedure, function, cursor, type, constant, exception or variable
+ *  index: index of the procedure, function, cursor or type keyword, otherwise of the name
+ *  modifiers and memberKind: for object type methods. memberKind is null for other declarations
+ */
+function matchDeclaration(tokens, i){
+  var
+    start = i,
+    modifiers = [],
+    memberKind = null,
+    word
+    ;
+
+  // Object type methods. Ex: not final member function, map member function, constructor function
+  while (TYPE_METHOD_MODIFIERS.indexOf(keyword(tokens[i])) !== -1){
+    modifiers.push(keyword(tokens[i]));
+    i++;
+  }
+  if ((keyword(tokens[i]) === 'map' || keyword(tokens[i]) === 'order') && keyword(tokens[i + 1]) === 'member'){
+    memberKind = keyword(tokens[i]) + ' member';
+    i += 2;
+  }
+  else if (['member', 'static', 'constructor'].indexOf(keyword(tokens[i])) !== -1){
+    memberKind = keyword(tokens[i]);
+    i++;
+  }
+
+  word = keyword(tokens[i]);
+
+  function declaration(type, nameToken){
+    return {
+      type: type,
+      name: nameToken.value,
+      line: tokens[start].line,
+      index: i,
+      modifiers: modifiers.join(' '),
+      memberKind: memberKind
+    };
+  }
+
+  if ((word === 'procedure' || word === 'function' || (word === 'cursor' && !memberKind)) && isName(tokens[i + 1])){
+    return declaration(word, tokens[i + 1]);
+  }
+  else if (modifiers.length || memberKind){
+    return null;
+  }
+  else if ((word === 'type' || word === 'subtype') && isName(tokens[i + 1]) && keyword(tokens[i + 2]) === 'is'){
+    return declaration('type', tokens[i + 1]);
+  }
+  else if (isName(tokens[i]) && STATEMENT_KEYWORDS.indexOf(word) === -1 && isName(tokens[i + 1])){
+    word = keyword(tokens[i + 1]);
+    return declaration(word === 'constant' || word === 'exception' ? word : 'variable', tokens[i]);
+  }
+
+  return null;
+}// matchDeclaration
+
+
+/**
+ * Returns the index of the token that ends the header of an object or a method
+ * The header ends before "is", "as" or "begin" (not nested in parentheses) or at ";"
+ *
+ * @param tokens
+ * @param i Index of the first token of the header
+ * @param isTypeMethod Methods of object types also end at "," or at the ")" of the type
+ * @return Index of the first token after the header
+ */
+function findHeaderEnd(tokens, i, isTypeMethod){
+  var depth = 0;
+
+  for (; i < tokens.length; i++){
+    var word = keyword(tokens[i]);
+
+    if (tokens[i].type === lexer.TYPES.SYMBOL){
+      if (tokens[i].value === '('){
+        depth++;
+      }
+      else if (tokens[i].value === ')'){
+        if (depth === 0 && isTypeMethod){
+          break;
+        }
+        depth--;
+      }
+      else if (depth === 0 && (tokens[i].value === ';' || (tokens[i].value === ',' && isTypeMethod))){
+        break;
+      }
+    }
+    // "return self as result" is not the start of the body
+    else if (depth === 0 && (word === 'is' || word === 'begin' || (word === 'as' && keyword(tokens[i - 1]) !== 'self'))){
+      break;
+    }
+  }//for
+
+  return i;
+}// findHeaderEnd
+
+
+/**
+ * @param tokens
+ * @param i Index of the "is" or "as" that ends the header of a procedure or function
+ * @return true if it's implemented outside of PL/SQL. Ex: as language java name '...'
+ */
+function isExternal(tokens, i){
+  return keyword(tokens[i + 1]) === 'language' || keyword(tokens[i + 1]) === 'external';
+}// isExternal
+
+
+/**
+ * Returns the index of the ";" that ends the body of a procedure or function
+ * The body ends at the "end" of its block. Blocks (begin, declare, case) and nested procedures and functions have their own "end". "end if" and "end loop" don't end a block
+ *
+ * @param tokens
+ * @param i Index of the "is" or "as" that ends the header (see findHeaderEnd)
+ * @return Index of the ";". i if the procedure or function has no body (Ex: as language java name '...'), tokens.length if the body doesn't end
+ */
+function findBodyEnd(tokens, i){
+  var
+    blocks = ['declare'], // Open blocks. declare: declarations before the "begin" of the block
+    headerEnd,
+    word
+    ;
+
+  if (isExternal(tokens, i)){
+    return i;
+  }
+
+  for (i++; i < tokens.length; i++){
+    word = keyword(tokens[i]);
+
+    if (word === 'begin'){
+      if (blocks[blocks.length - 1] === 'declare'){
+        blocks[blocks.length - 1] = 'begin';
+      }
+      else {
+        blocks.push('begin');
+      }
+    }
+    else if (word === 'declare' || word === 'case'){
+      blocks.push(word);
+    }
+    else if (word === 'end'){
+      // Ex: end if; end loop; end case;
+      if (keyword(tokens[i + 1]) === 'if' || keyword(tokens[i + 1]) === 'loop'){
+        i++;
+        continue;
+      }
+      if (keyword(tokens[i + 1]) === 'case'){
+        i++;
+      }
+      blocks.pop();
+      if (!blocks.length){
+        break;
+      }
+    }
+    // Nested procedures and functions with a body. Ex: procedure log(p_text in varchar2) is begin ... end log;
+    else if (word === 'procedure' || word === 'function'){
+      headerEnd = findHeaderEnd(tokens, i, false);
+      if ((keyword(tokens[headerEnd]) === 'is' || keyword(tokens[headerEnd]) === 'as') && !isExternal(tokens, headerEnd)){
+        blocks.push('declare');
+      }
+      i = headerEnd;
+    }
+  }//for
+
+  // Ex: end get_name;
+  while (i < tokens.length && !isSymbol(tokens[i], ';')){
+    i++;
+  }
+
+  return i;
+}// findBodyEnd
+
+
+/**
+ * Splits the first statement of the code into tokens: up to the first ";" that is not nested in parentheses
+ * The header of a declaration (and the query of a cursor) ends at or before it, so the code that follows (Ex: the body of a procedure) is not tokenized
+ *
+ * @param str Code
+ * @return Tokens (see lexer.tokenize), the ";" included
+ */
+function tokenizeStatement(str){
+  var depth = 0;
+
+  return lexer.tokenize(str, function(token){
+    if (token.type !== lexer.TYPES.SYMBOL){
+      return false;
+    }
+    else if (token.value === '('){
+      depth++;
+    }
+    else if (token.value === ')'){
+      depth--;
+    }
+    return token.value === ';' && depth <= 0;
+  });
+}// tokenizeStatement
+
+
+/**
+ * Returns the query of a cursor, as written: up to the ";" that ends the declaration, without its indentation
+ *
+ * @param str Code
+ * @param tokens Tokens of str
+ * @param i Index of the first token of the query
+ * @return Query, without the final ";". Ex: select ename from emp where empno = p_id
+ */
+function parseQuery(str, tokens, i){
+  var
+    start = i,
+    depth = 0,
+    lines,
+    indent
+    ;
+
+  if (i >= tokens.length){
+    return '';
+  }
+
+  for (; i < tokens.length; i++){
+    if (isSymbol(tokens[i], '(')){
+      depth++;
+    }
+    else if (isSymbol(tokens[i], ')')){
+      depth--;
+    }
+    else if (depth === 0 && isSymbol(tokens[i], ';')){
+      break;
+    }
+  }//for
+
+  if (i === start){
+    return '';
+  }
+
+  // The code before the query is replaced with spaces so that the first line keeps its indentation. Ex: cursor c is select ename\n               from emp
+  lines = (str.slice(str.lastIndexOf('\n', tokens[start].start - 1) + 1, tokens[start].start).replace(/\S/g, ' ') + str.slice(tokens[start].start, tokens[i - 1].end)).split('\n');
+
+  // Smallest indentation of the lines
+  indent = Math.min.apply(null, lines.filter(function(line){
+    return line.trim();
+  }).map(function(line){
+    return line.match(/^[ \t]*/)[0].length;
+  }));
+
+  return lines.map(function(line){
+    return line.slice(indent).replace(/\s+$/, '');
+  }).join('\n').trim();
+}// parseQuery
+
+
+/**
+ * Parses a "create" statement
+ *
+ * @param str Code
+ * @param tokens Tokens of str. The first one is "create"
+ * @param offset Number of lines before str in the file
+ * @return Context or undefined if the object kind is not one of dox.OBJECT_KINDS
+ */
+function parseCreateContext(str, tokens, offset){
+  var
+    i = 1,
+    ctx,
+    kindIndex,
+    end
+    ;
+
+  // Ex: or replace editionable
+  while (i < tokens.length && dox.OBJECT_KINDS.indexOf(keyword(tokens[i])) === -1){
+    if (tokens[i].type !== lexer.TYPES.WORD){
+      return;
+    }
+    i++;
+  }
+  if (i === tokens.length){
+    return;
+  }
+
+  kindIndex = i;
+  ctx = {
+    type: 'global',
+    kind: keyword(tokens[i]),
+    isBody: keyword(tokens[i + 1]) === 'body',
+    name: null,
+    header: '',
+    line: tokens[0].line + offset
+  };
+  i += ctx.isBody ? 2 : 1;
+
+  // Ex: schema.name
+  if (isSymbol(tokens[i + 1], '.') && isName(tokens[i + 2])){
+    i += 2;
+  }
+  if (!isName(tokens[i])){
+    return;
+  }
+  ctx.name = tokens[i].value;
+
+  end = findHeaderEnd(tokens, 0, false);
+  ctx.header = str.slice(tokens[0].start, tokens[end - 1].end);
+
+  // Standalone procedures and functions have a signature like the ones in packages
+  if (ctx.kind === 'function' || ctx.kind === 'procedure'){
+    ctx.header = str.slice(tokens[kindIndex].start, tokens[end - 1].end);
+    ctx.signature = dox.parseSignature(ctx.header);
+  }
+
+  return ctx;
+}// parseCreateContext
+
+
+/**
+ * Parses the code that follows a comment: the declaration(s) that the comment documents
+ * Constants, exceptions, types and variables are listed up to the next comment or the next declaration of another type
+ *
+ * @param str Code that follows the comment, up to the next comment
+ * @param line optional - Line of str in the file. Default 1
+ * @return Context or undefined if str doesn't start with a declaration
+ *  global: {type: 'global', kind, isBody, name, header, line} and signature for standalone procedures and functions
+ *  methods: {type: procedure|function|cursor, name, header, signature, line}. Object type methods also have memberKind, isOverriding, isFinal and isInstantiable. Cursors also have their query (empty if not declared)
+ *  lists: {type: constants|exceptions|types|variables, header} and an array (named as the type) of {name, code, line}
+ */
+dox.parseContext = function(str, line){
+  var
+    allTokens = tokenizeStatement(str),
+    tokens = lexer.codeTokens(allTokens),
+    offset = (line || 1) - 1,
+    first,
+    declaration,
+    end,
+    next, // Index in allTokens
+    ctx
+    ;
+
+  if (!tokens.length){
+    return;
+  }
+
+  if (keyword(tokens[0]) === 'create'){
+    return parseCreateContext(str, tokens, offset);
+  }
+
+  // Methods of object types can be preceded by ","
+  first = isSymbol(tokens[0], ',') ? 1 : 0;
+  declaration = matchDeclaration(tokens, first);
+
+  if (!declaration){
+    return;
+  }
+
+  if (!LIST_TYPES[declaration.type]){
+    end = findHeaderEnd(tokens, first, !!declaration.memberKind);
+
+    ctx = {
+      type: declaration.type,
+      name: declaration.name,
+      header: str.slice(tokens[first].start, tokens[end - 1].end),
+      signature: dox.parseSignature(str.slice(tokens[declaration.index].start, tokens[end - 1].end)),
+      line: declaration.line + offset
+    };
+
+    if (declaration.memberKind){
+      extend(ctx, parseTypeMethodModifiers(declaration.modifiers, declaration.memberKind));
+    }
+
+    // The query of a cursor follows "is". Ex: cursor c_emp(p_id number) is select ...;
+    if (declaration.type === 'cursor'){
+      ctx.query = keyword(tokens[end]) === 'is' ? parseQuery(str, tokens, end + 1) : '';
+    }
+
+    return ctx;
+  }
+
+  ctx = {
+    type: LIST_TYPES[declaration.type],
+    header: str
+  };
+  ctx[ctx.type] = [];
+  allTokens = lexer.tokenize(str);
+  tokens = lexer.codeTokens(allTokens);
+  next = 0;
+
+  // The list ends at the first declaration of another type. Ex: constants that follow an undocumented function are not listed with the documented ones before it
+  lexer.split(tokens).every(function(statement){
+    var
+      statementDeclaration = statement.length ? matchDeclaration(statement, 0) : null,
+      separator
+      ;
+
+    if (statementDeclaration && statementDeclaration.type !== declaration.type){
+      return false;
+    }
+    else if (statementDeclaration){
+      // The code ends at the ";" so that directives before it are kept. Ex: := $if $$debug $then true $else false $end;
+      while (next < allTokens.length && (allTokens[next].start < statement[statement.length - 1].end || !isSymbol(allTokens[next], ';'))){
+        next++;
+      }
+      separator = allTokens[next];
+
+      ctx[ctx.type].push({
+        name: statementDeclaration.name,
+        code: separator ? str.slice(statement[0].start, separator.end) : str.slice(statement[0].start, statement[statement.length - 1].end) + ';',
+        line: statementDeclaration.line + offset
+      });
+    }
+
+    return true;
+  });//statements
+
+  return ctx;
+}// parseContext
+
+
+/**
+ * Lists the declarations of a specification or a body (package or object type), documented or not
+ * The declarations of the procedures and functions of a body (Ex: their local variables and cursors) are not listed
+ *
+ * @param str Source code
+ * @return Array of {type, name, line}. type: procedure, function, cursor, type, constant or exception. Procedures, functions and cursors also have their signature, cursors their query (empty if not declared)
+ */
+dox.parseDeclarations = function(str){
+  var
+    tokens = lexer.codeTokens(lexer.tokenize(str)),
+    declarations = [],
+    depth = 0,
+    membersDepth = -1, // Depth of the list of attributes and methods of an object type
+    bodyEnd = -1 // Index of the ";" that ends the body of the last procedure or function
+    ;
+
+  tokens.forEach(function(token, i){
+    var
+      previous = tokens[i - 1],
+      declaration,
+      headerEnd
+      ;
+
+    if (i <= bodyEnd){
+      return;
+    }
+
+    if (isSymbol(token, '(')){
+      depth++;
+      // Ex: as object (, under supertype (, under schema.supertype (
+      if (keyword(previous) === 'object' || keyword(tokens[i - 2]) === 'under' || (isSymbol(tokens[i - 3], '.') && keyword(tokens[i - 4]) === 'under')){
+        membersDepth = depth;
+      }
+    }
+    else if (isSymbol(token, ')')){
+      depth--;
+    }
+
+    // Declarations start a statement, follow the header of the specification or are an element of an object type
+    if (!(depth === 0 && (!previous || isSymbol(previous, ';') || keyword(previous) === 'as' || keyword(previous) === 'is')) &&
+      !(depth === membersDepth && (isSymbol(previous, ',') || isSymbol(previous, '(')))){
+      return;
+    }
+
+    declaration = matchDeclaration(tokens, i);
+
+    if (declaration && declaration.type !== 'variable'){
+      declarations.push({
+        type: declaration.type,
+        name: declaration.name,
+        line: declaration.line
+      });
+
+      // Used to match the declarations of the specification with the ones of the body (overloads have the same name)
+      if (!LIST_TYPES[declaration.type]){
+        headerEnd = findHeaderEnd(tokens, i, !!declaration.memberKind);
+        declarations[declarations.length - 1].signature = dox.parseSignature(str.slice(tokens[declaration.index].start, tokens[headerEnd - 1].end));
+
+        if (declaration.type === 'cursor'){
+          declarations[declarations.length - 1].query = keyword(tokens[headerEnd]) === 'is' ? parseQuery(str, tokens, headerEnd + 1) : '';
+        }
+        else if (keyword(tokens[headerEnd]) === 'is' || keyword(tokens[headerEnd]) === 'as'){
+          bodyEnd = findBodyEnd(tokens, headerEnd);
+        }
+      }
+    }
+  });//tokens.forEach
+
+  return declarations;
+}// parseDeclarations
+
+
+/**
+ * Lists the names that the code references: dotted names (Ex: pkg.proc, schema.pkg.proc, emp.ename) and single names
+ * Used to find the dependencies between the objects of a project. Names that are not objects (Ex: variables, keywords) are filtered out by the caller
+ * Bind variables (Ex: :new.id) are ignored
+ *
+ * @param str Source code
+ * @return Array of distinct references: {names, anchor}. names: lower case parts of the name (quotes removed). anchor: type or rowtype for %type and %rowtype, otherwise null
+ */
+dox.parseReferences = function(str){
+  var
+    tokens = lexer.codeTokens(lexer.tokenize(str)),
+    references = [],
+    found = {}
+    ;
+
+  function toName(token){
+    return (token.type === lexer.TYPES.IDENTIFIER ? token.value.replace(/^"|"$/g, '') : token.value).toLowerCase();
+  }
+
+  for (var i = 0; i < tokens.length; i++){
+    var
+      names,
+      anchor,
+      key
+      ;
+
+    // Start of a name that isn't a bind variable or an anchor (Ex: rowtype of emp%rowtype)
+    if (!isName(tokens[i]) || ['.', ':', '%'].some(isSymbol.bind(null, tokens[i - 1]))){
+      continue;
+    }
+
+    names = [toName(tokens[i])];
+    while (isSymbol(tokens[i + 1], '.') && isName(tokens[i + 2])){
+      names.push(toName(tokens[i + 2]));
+      i += 2;
+    }
+
+    anchor = isSymbol(tokens[i + 1], '%') && ['type', 'rowtype'].indexOf(keyword(tokens[i + 2])) !== -1 ? keyword(tokens[i + 2]) : null;
+    key = names.join('.') + '%' + anchor;
+
+    if (!found[key]){
+      found[key] = true;
+      references.push({
+        names: names,
+        anchor: anchor
+      });
+    }
+  }//for
+
+  return references;
+}// parseReferences
+
+
+/**
+ * Returns the block comments that document the code that follows them
+ * Unterminated comments are ignored
+ * /* comments (not /**) that follow code on the same line or that are in the parameters of a routine are part of the code
+ * Ex: gc_max /* in bytes *\/ constant number := 10;
+ * Only the comments and literals are tokenized, and the code of a statement only when it has such a comment (see isInParams)
+ *
+ * @param str Source code
+ * @return Array of comment tokens
+ */
+function findCommentBlocks(str){
+  var tokens = lexer.findComments(str, true);
+
+  // Ex: gc_max /* in bytes */ constant number := 10;
+  function followsCode(k){
+    var
+      lineStart = str.lastIndexOf('\n', tokens[k].start - 1) + 1,
+      end = tokens[k].start,
+      j = k - 1
+      ;
+
+    // The comments that precede it on its line are not code
+    for (; j >= 0 && tokens[j].end > lineStart && tokens[j].type === lexer.TYPES.COMMENT; j--){
+      if (str.slice(tokens[j].end, end).trim()){
+        return true;
+      }
+      end = tokens[j].start;
+    }
+
+    // A literal that ends on the line is code
+    return (j >= 0 && tokens[j].end > lineStart) || str.slice(lineStart, end).trim() !== '';
+  }// followsCode
+
+  // Ex: procedure p(a number /* comment */, b number)
+  function isInParams(k){
+    var
+      parens = [], // For each open parenthesis: true for the parameters of a routine
+      prev, // Last two code tokens
+      prev2,
+      start = 0,
+      end = tokens[k].start
+      ;
+
+    // The code from the last ";" that is not in a literal or a comment
+    for (var j = k - 1; j >= -1; j--){
+      var semicolon = str.slice(j === -1 ? 0 : tokens[j].end, end).lastIndexOf(';');
+
+      if (semicolon !== -1){
+        start = (j === -1 ? 0 : tokens[j].end) + semicolon + 1;
+        break;
+      }
+      end = j === -1 ? 0 : tokens[j].start;
+    }
+
+    lexer.codeTokens(lexer.tokenize(str.slice(start, tokens[k].start))).forEach(function(token){
+      if (isSymbol(token, '(')){
+        parens.push(isName(prev) && ['procedure', 'function'].indexOf(keyword(prev2)) !== -1);
+      }
+      else if (isSymbol(token, ')')){
+        parens.pop();
+      }
+      prev2 = prev;
+      prev = token;
+    });
+
+    return !!parens[parens.length - 1];
+  }// isInParams
+
+  return tokens.filter(function(token, k){
+    return token.type === lexer.TYPES.COMMENT
+      && /^\/\*[\s\S]*\*\/$/.test(token.value)
+      && (/^\/\*[*!]/.test(token.value) || (!followsCode(k) && !isInParams(k)));
+  });
+}// findCommentBlocks
+
+
+/**
+ * Parses a tag of a comment
+ * Extends the parser of dox: dox joins the first line of the tag with the next ones, so tag.raw keeps the text of the tag as written. Ex: the title and the code of an @example
+ *
+ * @param str Tag, without the leading "@". Ex: example {sql} Title\nselect 1 from dual;
+ * @return Tag of dox with {raw}: text following the tag name, line breaks and indentation included
+ */
+dox.parseTag = function(str){
+  var tag = parseTag(str);
+
+  tag.raw = str.replace(/^@?\S+[ \t]?/, '').replace(/\s+$/, '');
+
+  return tag;
+}// parseTag
+
+
+/**
+ * Parses the comments of PL/SQL source code
+ * Overrides the parser of dox (made for JavaScript) so that "--" comments, literals and quoted identifiers are not mistaken for code
+ * Each block comment documents the code that follows it, up to the next block comment (see parseContext)
+ *
+ * @param str Source code
+ * @param options optional - Options of dox.parseComment
+ * @return Array of comments (see dox.parseComment) with {ignore, line, codeStart, code, ctx}
+ */
+dox.parseComments = function(str, options){
+  var
+    blocks,
+    comments = []
+    ;
+
+  str = str.replace(/\r\n/g, '\n');
+  options = options || {};
+
+  blocks = findCommentBlocks(str);
+
+  function addCode(comment, code, line){
+    if (code.trim().length){
+      comment.codeStart = line + code.match(/^\s*/)[0].split('\n').length - 1;
+      comment.code = dox.trimIndentation(code).trim();
+      comment.ctx = dox.parseContext(comment.code, comment.codeStart);
+    }
+  }// addCode
+
+  blocks.forEach(function(block, i){
+    var
+      text = block.value.slice(2, -2),
+      endLine = block.line + block.value.split('\n').length - 1,
+      comment
+      ;
+
+    // Ex: "/** text", "/*! text" (ignored comment)
+    comment = dox.parseComment((/^[\s!]/.test(text) ? text.slice(1) : text).replace(/^[ \t]*\* ?/gm, ''), options);
+    comment.ignore = text[0] === '!';
+    comment.line = block.line;
+    comment.codeStart = endLine + 1;
+
+    addCode(comment, str.slice(block.end, i < blocks.length - 1 ? blocks[i + 1].start : str.length), endLine);
+
+    comments.push(comment);
+  });//blocks.forEach
+
+  // The code of a file without comment is still parsed (Ex: the main object of the file)
+  if (comments.length === 0){
+    comments.push({
+      tags: [],
+      description: {full: '', summary: '', body: ''},
+      isPrivate: false,
+      isConstructor: false,
+      line: 1
+    });
+    addCode(comments[0], str, 1);
+  }
+
+  return comments;
+}// parseComments
 
-      }//typesArr
-
-      return {
-        type: 'types'
-        , header: str
-        , types: types
-      };
-    }
-  },
-
-  //Variables
-  function (str) {
-    if (str.substring(0, 4) != "type" && str.substring(0, 7) != "subtype" &&
-      /^\s*([\w]+)\s*(([\w]+)|([\w]+\(\s*([\d]+)(,\s*[\d]+)?\s*\)))((\s+)|;)((default|:=)(\s+)((\'[\w]*\')|[\d]+|[\w]+((\s+)[\w]+)?))?/i.exec(str)) {
-      // #40 fix for comments above a constant
-      str = str.replace(/^\s*--.*$/mg, '');
-
-      var
-        ret = {
-          type : 'variables',
-          header : str,
-          variables : []
-        },
-        variablesArr = str.split(';')
-        ;
-
-      variablesArr.forEach(function(variable){
-        // Comments after variables may still be in the array.
-        // As such only allow definitions of variables
-        if (/^\s*\w+\s+.+(:=|default)*.+$/gi.test(variable)){
-          var
-            myVariable = {
-              name : '',
-              // Remove any "\n" and the begining
-              code : variable.replace(/^[\n]*/, '') + ';' //Need to re-append missing ";" since removed with .split
-            }
-            ;
-
-          // Regex for checking variables
-          /^\s*([\w]+)\s+(([\w]+)|([\w]+\(\s*([\d]+)(,\s*[\d]+)?\s*\)))((\s+)?)((default|:=)(\s+)((\'[\w]*\')|[\d]+|[\w]+((\s+)[\w]+)?))?/i.exec(variable);
-          myVariable.name = RegExp.$1.trim();
-
-          ret.variables.push(myVariable);
-        }// if variable
-      });//variablesArr.forEach
-
-      return ret;
-    }// if variable
-  }
-];
 
 module.exports = dox;
@@ -0,0 +1,55 @@
+// Errors thrown by the generator
+// Each error has the exit code that the command line returns for it
+
+// Exit codes of the command line
+var EXIT_CODES = {
+  SUCCESS: 0,
+  CHECK_FAILED: 1,
+  USAGE: 2,
+  CONFIG: 3,
+  PROCESSING: 4
+};
+
+
+/**
+ * Base class of all the errors of the generator
+ *
+ * @param message
+ * @param details optional - Extra properties of the error. Ex: {path}
+ */
+class PmdError extends Error {
+  constructor(message, details){
+    super(message);
+    this.name = this.constructor.name;
+    this.exitCode = EXIT_CODES.PROCESSING;
+    Object.assign(this, details);
+  }
+}
+
+// Invalid command line arguments
+class UsageError extends PmdError {
+  constructor(message, details){
+    super(message, details);
+    this.exitCode = EXIT_CODES.USAGE;
+  }
+}
+
+// Invalid or missing config file, project, path or template
+class ConfigError extends PmdError {
+  constructor(message, details){
+    super(message, details);
+    this.exitCode = EXIT_CODES.CONFIG;
+  }
+}
+
+// Source file that can not be processed
+class ProcessingError extends PmdError {}
+
+
+module.exports = {
+  EXIT_CODES: EXIT_CODES,
+  PmdError: PmdError,
+  UsageError: UsageError,
+  ConfigError: ConfigError,
+  ProcessingError: ProcessingError
+};
@@ -0,0 +1,237 @@
+// Output formats
+// Descriptions are kept in Markdown (as written in the JavaDoc) and rendered for the format of each output file
+
+var
+  extend = require('node.extend'),
+  markdown = require('markdown-it')({
+    html: true,
+    xhtmlOut: true,
+    breaks: true,
+    langPrefix: 'lang-'
+  })
+  ;
+
+var format = {};
+
+// Formats of the output files
+format.FORMATS = {
+  MARKDOWN: 'md', // .md files
+  HTML: 'html' // All the other files. Ex: .html
+};
+
+// Elements removed with their content from the HTML of the descriptions
+var UNSAFE_ELEMENTS_REGEXP = /<(script|style|iframe|object|embed|applet|frameset|form|textarea|select)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+// Opening and closing tags removed from the HTML of the descriptions (Ex: elements without closing tag)
+var UNSAFE_TAGS_REGEXP = /<\/?(script|style|iframe|object|embed|applet|frameset|frame|form|textarea|select|base|link|meta)\b[^>]*>/gi;
+
+// Attributes whose value is a URL
+var URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'background', 'poster'];
+
+// Schemes allowed in the URL attributes. URLs without scheme (Ex: relative URLs, anchors) are allowed too
+var URL_SCHEMES = ['http', 'https', 'mailto'];
+
+
+/**
+ * Returns the format of an output file
+ *
+ * @param filePath Path (or name) of the output file or of its template
+ * @return See FORMATS
+ */
+format.getFormat = function(filePath){
+  return /\.md$/i.test(filePath || '') ? format.FORMATS.MARKDOWN : format.FORMATS.HTML;
+}// getFormat
+
+
+/**
+ * Escapes the characters of a text that have a meaning in HTML
+ * Quotes are not escaped: the text is not meant for attributes
+ *
+ * @param str
+ * @return Escaped text
+ */
+format.escapeHtml = function(str){
+  return String(str == null ? '' : str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}// escapeHtml
+
+
+/**
+ * Returns true if the value of a URL attribute is safe: a URL without scheme or with one of URL_SCHEMES
+ * The value is read as browsers do: character references are decoded (Ex: java&#x73;cript:, &#106avascript:, javascript&colon;) then whitespace and control characters are removed
+ *
+ * @param value Value of the attribute, without quotes
+ * @return boolean
+ */
+function isSafeUrl(value){
+  var
+    url = markdown.utils.unescapeAll(value.replace(/&#(?:x([0-9a-f]+)|(\d+));?/gi, function(reference, hex, decimal){
+      var code = hex ? parseInt(hex, 16) : Number(decimal);
+
+      return markdown.utils.isValidEntityCode(code) ? markdown.utils.fromCodePoint(code) : '\ufffd';
+    })).replace(/[\s\u0000-\u001f\u007f-\u009f]/g, ''),
+    // The scheme ends at the first ":" before any "/", "?" or "#". Ex: javascript:alert(1), but not ./a:b or ?q=a:b
+    scheme = /^([^\/?#]*):/.exec(url)
+    ;
+
+  return !scheme || URL_SCHEMES.indexOf(scheme[1].toLowerCase()) !== -1;
+}// isSafeUrl
+
+
+/**
+ * Removes what could run scripts from HTML: script (and similar) elements, event handler attributes and URLs with another scheme than URL_SCHEMES (Ex: javascript:)
+ * Safe tags are kept as written
+ *
+ * @param html
+ * @return Sanitized HTML
+ */
+format.sanitizeHtml = function(html){
+  return String(html == null ? '' : html)
+    .replace(UNSAFE_ELEMENTS_REGEXP, '')
+    .replace(UNSAFE_TAGS_REGEXP, '')
+    .replace(/<([a-z][\w-]*)((?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)(\s*\/?)>/gi, function(tag, name, attributes, end){
+      var
+        removed = false,
+        safeAttributes = attributes.replace(/\s+([^\s=>\/]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g, function(attribute, attributeName, value){
+          if (/^on/i.test(attributeName) || (URL_ATTRIBUTES.indexOf(attributeName.toLowerCase()) !== -1 && !isSafeUrl((value || '').replace(/^["']|["']$/g, '')))){
+            removed = true;
+            return '';
+          }
+          return attribute;
+        })
+        ;
+
+      return removed ? '<' + name + safeAttributes + end + '>' : tag;
+    });
+}// sanitizeHtml
+
+
+/**
+ * Renders Markdown as sanitized HTML
+ *
+ * @param str Markdown. HTML is allowed
+ * @param inline optional - The text is used inline (Ex: in a table cell): a single paragraph is not wrapped in a p tag
+ * @return HTML
+ */
+format.toHtml = function(str, inline){
+  var html = format.sanitizeHtml(markdown.render(str || '').trim());
+
+  if (inline && /^<p>[\s\S]*<\/p>$/.test(html) && html.indexOf('<p>', 1) === -1){
+    html = html.slice(3, -4);
+  }
+
+  return html;
+}// toHtml
+
+
+/**
+ * Returns the text of Markdown, without formatting. Ex: for summaries in the navigation and the search index
+ * HTML entities are kept (Ex: &amp;)
+ *
+ * @param str Markdown
+ * @return Text on a single line
+ */
+format.toText = function(str){
+  return format.toHtml(str).replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+}// toText
+
+
+/**
+ * Escapes Markdown for a cell of a Markdown table: pipes are escaped and line breaks are replaced by br tags
+ *
+ * @param str Markdown
+ * @return Markdown on a single line
+ */
+format.toTableCell = function(str){
+  return String(str == null ? '' : str)
+    .trim()
+    .replace(/\\?\|/g, '\\|')
+    .replace(/\r?\n/g, '<br />');
+}// toTableCell
+
+
+/**
+ * Returns the data of an object (see pmd.buildData) with its descriptions in an output format
+ * Markdown data is returned as is. For HTML, a copy of the data is returned: the data is shared by all the outputs (Ex: the JSON model)
+ * Descriptions of objects, methods and cursors are rendered as blocks, other descriptions (Ex: @param, @throws, @constant) inline
+ *
+ * @param data Data of an object, or any other template data
+ * @param outputFormat See FORMATS
+ * @return Data
+ */
+format.formatData = function(data, outputFormat){
+  var methods;
+
+  if (outputFormat !== format.FORMATS.HTML || !data || !data.methods){
+    return data;
+  }
+
+  function inline(str){
+    return typeof str === 'string' ? format.toHtml(str, true) : str;
+  }
+
+  function formatDescriptions(items){
+    return items && items.map(function(item){
+      return extend({}, item, {
+        description: inline(item.description)
+      });
+    });
+  }
+
+  // Object, method or cursor
+  function formatEntity(entity){
+    var description = entity.description;
+
+    if (description && typeof description === 'object'){
+      description = {
+        full: format.toHtml(description.full),
+        summary: format.toHtml(description.summary),
+        body: format.toHtml(description.body)
+      };
+    }
+
+    return extend({}, entity, {
+      description: description,
+      params: formatDescriptions(entity.params),
+      throws: formatDescriptions(entity.throws),
+      issues: formatDescriptions(entity.issues),
+      todos: formatDescriptions(entity.todos),
+      return: inline(entity.return),
+      deprecated: entity.deprecated && formatDescriptions([entity.deprecated])[0]
+    });
+  }// formatEntity
+
+  methods = data.methods.map(function(method){
+    return extend(formatEntity(method), {
+      overloads: method.overloads && method.overloads.map(formatEntity)
+    });
+  });
+
+  return extend({}, data, {
+    global: data.global && formatEntity(data.global),
+    methods: methods,
+    // Groups of methods (see pmd.groupOverloads) reference the formatted methods
+    groups: data.groups && data.groups.map(function(group){
+      return extend({}, group, {
+        methods: group.methods.map(function(method){
+          return methods[data.methods.indexOf(method)];
+        })
+      });
+    }),
+    cursors: data.cursors && data.cursors.map(formatEntity),
+    constants: formatDescriptions(data.constants),
+    types: formatDescriptions(data.types),
+    refCursors: formatDescriptions(data.refCursors),
+    variables: formatDescriptions(data.variables),
+    exceptions: formatDescriptions(data.exceptions),
+    attributes: formatDescriptions(data.attributes),
+    objectType: data.objectType && extend({}, data.objectType, {
+      attributes: formatDescriptions(data.objectType.attributes)
+    })
+  });
+}// formatData
+
+
+module.exports = format;
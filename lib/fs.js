@@ -1,6 +1,6 @@
 //Overloaded fs.js
 
-fs = require('fs-extra');
+var fs = require('fs-extra');
 
 // Overwrite existsSync as it's being deprecated
 fs.existsSync = function(path){
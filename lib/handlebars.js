@@ -1,77 +1,234 @@
 //Overloaded Handlebars
 
-Handlebars = require('handlebars'),
-
-
-Handlebars.registerHelper('toUpperCase', function(str) {
-  if (str) {
-    return str.toUpperCase();
-  } else {
-    return str;
-  }
-});
-
-Handlebars.registerHelper('lineBreakToBr', function(str) {
-  if (str) {
-    return str.replace(/\n/g,'<br />');
-  } else {
-    return str;
-  }
-});
-
-Handlebars.registerHelper('initCap', function(str) {
-  if (str) {
-    return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
-  }
-  else{
-    return str;
-  }
-});
-
-// From http://stackoverflow.com/questions/8853396/logical-operator-in-a-handlebars-js-if-conditional
-Handlebars.registerHelper('ifCond', function (v1, operator, v2, options) {
-  switch (operator) {
-    case '==':
-      return (v1 == v2) ? options.fn(this) : options.inverse(this);
-    case '===':
-      return (v1 === v2) ? options.fn(this) : options.inverse(this);
-    case '<':
-      return (v1 < v2) ? options.fn(this) : options.inverse(this);
-    case '<=':
-      return (v1 <= v2) ? options.fn(this) : options.inverse(this);
-    case '>':
-      return (v1 > v2) ? options.fn(this) : options.inverse(this);
-    case '>=':
-      return (v1 >= v2) ? options.fn(this) : options.inverse(this);
-    case '&&':
-      return (v1 && v2) ? options.fn(this) : options.inverse(this);
-    case '||':
-      return (v1 || v2) ? options.fn(this) : options.inverse(this);
-    default:
-      return options.inverse(this);
-  }
-});
-
-
-// TODO mdsouza: create functions for getTypes, getMethods, getConstants
-// TODO mdsouza: delete
-Handlebars.registerHelper('entityFilter', function(entityType, options) {
-  var
-    retEntities = []
-  ;
-
-  console.log(entityType);
-
-  options.data.root.entities.forEach(function(entity){
-    if (entity.type === 'typesBAD'){
-      retEntities.push(entity);
+var
+  path = require('path'),
+  fs = require('./fs.js'),
+  format = require('./format.js')
+;
+
+
+/**
+ * Returns the format of the rendered file (see pmd.renderTemplate)
+ *
+ * @param options Options of a helper
+ * @return See format.FORMATS. Default: html
+ */
+function getFormat(options){
+  return (options && options.data && options.data.format) || format.FORMATS.HTML;
+}// getFormat
+
+
+/**
+ * Creates an isolated Handlebars environment with the helpers of the generator
+ * Partials and helpers registered by a project don't leak to other projects (or to the global Handlebars of the calling application)
+ *
+ * @return Handlebars environment
+ */
+module.exports = function(){
+  var Handlebars = require('handlebars').create();
+
+  Handlebars.registerHelper('toUpperCase', function(str) {
+    if (str) {
+      return str.toUpperCase();
+    } else {
+      return str;
+    }
+  });
+
+  // Code on several lines in an HTML element. Ex: <pre>{{{lineBreakToBr code}}}</pre>
+  // In Markdown the pipes are also escaped, so the code can be in a table cell
+  Handlebars.registerHelper('lineBreakToBr', function(str, options) {
+    if (str) {
+      str = format.escapeHtml(str).replace(/\r?\n/g,'<br />');
+
+      return getFormat(options) === format.FORMATS.MARKDOWN ? str.replace(/\|/g, '\\|') : str;
+    } else {
+      return str;
+    }
+  });
+
+  // Description in a table cell. Ex: {{{tableCell description}}}
+  // Markdown descriptions are put on a single line with their pipes escaped. HTML is unchanged
+  Handlebars.registerHelper('tableCell', function(str, options) {
+    if (str && getFormat(options) === format.FORMATS.MARKDOWN) {
+      return format.toTableCell(str);
+    } else {
+      return str;
+    }
+  });
+
+  // Fence of a Markdown code block, longer than the backticks in the code. Ex: {{fence code}}sql
+  Handlebars.registerHelper('fence', function(code) {
+    var longest = 2;
+
+    (String(code || '').match(/`{3,}/g) || []).forEach(function(backticks) {
+      longest = Math.max(longest, backticks.length);
+    });
+
+    return new Handlebars.SafeString(new Array(longest + 2).join('`'));
+  });
+
+  // Language of a code block for the syntax highlighter of the HTML templates (Prism, with the SQL language). Ex: <code class="language-{{highlightLanguage language}}">
+  Handlebars.registerHelper('highlightLanguage', function(language) {
+    return language === 'plsql' ? 'sql' : language;
+  });
+
+  Handlebars.registerHelper('initCap', function(str) {
+    if (str) {
+      return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
+    }
+    else{
+      return str;
+    }
+  });
+
+  // From http://stackoverflow.com/questions/8853396/logical-operator-in-a-handlebars-js-if-conditional
+  Handlebars.registerHelper('ifCond', function (v1, operator, v2, options) {
+    switch (operator) {
+      case '==':
+        return (v1 == v2) ? options.fn(this) : options.inverse(this);
+      case '===':
+        return (v1 === v2) ? options.fn(this) : options.inverse(this);
+      case '<':
+        return (v1 < v2) ? options.fn(this) : options.inverse(this);
+      case '<=':
+        return (v1 <= v2) ? options.fn(this) : options.inverse(this);
+      case '>':
+        return (v1 > v2) ? options.fn(this) : options.inverse(this);
+      case '>=':
+        return (v1 >= v2) ? options.fn(this) : options.inverse(this);
+      case '&&':
+        return (v1 && v2) ? options.fn(this) : options.inverse(this);
+      case '||':
+        return (v1 || v2) ? options.fn(this) : options.inverse(this);
+      default:
+        return options.inverse(this);
+    }
+  });
+
+  // Joins its arguments, undefined ones are empty. Ex: {{> method.md h=(concat h "#")}}
+  Handlebars.registerHelper('concat', function() {
+    return Array.prototype.slice.call(arguments, 0, -1).map(function(value) {
+      return value === undefined || value === null ? '' : value;
+    }).join('');
+  });
+
+
+  // Layouts
+  // A template extends a layout (a partial) and overrides its blocks:
+  // Template: {{#extend "layout.html"}}{{#content "main"}}...{{/content}}{{/extend}}
+  // Layout: {{#block "main"}}Default content{{/block}}
+  // content supports mode="append" and mode="prepend" to keep the default content of the block
+  Handlebars.registerHelper('extend', function(name, options) {
+    var
+      data = Handlebars.createFrame(options.data || {}),
+      parentBlocks = data.layoutBlocks || {},
+      layout = Handlebars.partials[name]
+      ;
+
+    if (!layout) {
+      throw new Error('Layout partial not found: ' + name);
     }
-  });//entities.forEach
+    if (typeof layout !== 'function') {
+      layout = Handlebars.partials[name] = Handlebars.compile(layout);
+    }
+
+    // Collect the content of this template
+    data.layoutBlocks = {};
+    options.fn(this, {data: data});
+
+    // Blocks from the extending template (when layouts are nested) are applied last so they take precedence
+    Object.keys(parentBlocks).forEach(function(blockName) {
+      data.layoutBlocks[blockName] = (data.layoutBlocks[blockName] || []).concat(parentBlocks[blockName]);
+    });
+
+    return layout(this, {data: data});
+  });
+
+  Handlebars.registerHelper('content', function(name, options) {
+    var blocks = options.data && options.data.layoutBlocks;
+
+    if (blocks) {
+      blocks[name] = blocks[name] || [];
+      blocks[name].push({
+        mode: options.hash.mode || 'replace',
+        fn: options.fn,
+        context: this,
+        data: options.data
+      });
+    }
+
+    return '';
+  });
 
-  console.log(retEntities);
+  Handlebars.registerHelper('block', function(name, options) {
+    var
+      blocks = (options.data && options.data.layoutBlocks) || {},
+      ret = options.fn(this)
+      ;
 
-  return options.fn(retEntities);
-});
+    (blocks[name] || []).forEach(function(content) {
+      var str = content.fn(content.context, {data: content.data});
+
+      switch (content.mode) {
+        case 'append':
+          ret += str;
+          break;
+        case 'prepend':
+          ret = str + ret;
+          break;
+        default:
+          ret = str;
+          break;
+      }
+    });
+
+    return new Handlebars.SafeString(ret);
+  });
+
+
+  /**
+   * Registers all the files in a folder (and its subfolders) as partials
+   * The name of a partial is its path relative to the folder. Ex: layout.html, sections/params.md
+   *
+   * @param dirPath Folder that contains the partials
+   */
+  Handlebars.registerPartialDir = function(dirPath) {
+    (function readDir(subPath) {
+      fs.readdirSync(path.resolve(dirPath, subPath)).forEach(function(fileName) {
+        var
+          relPath = subPath ? subPath + '/' + fileName : fileName,
+          fullPath = path.resolve(dirPath, relPath)
+          ;
+
+        if (fs.lstatSync(fullPath).isDirectory()) {
+          readDir(relPath);
+        }
+        else {
+          Handlebars.registerPartial(relPath, fs.readFileSync(fullPath, 'utf8'));
+        }
+      });
+    })('');
+  };
+
+
+  /**
+   * Registers the helpers of a module
+   * The module must export either a function (called with Handlebars) or an object of helpers
+   *
+   * @param modulePath Path to the module
+   */
+  Handlebars.registerHelperModule = function(modulePath) {
+    var helpers = require(path.resolve(modulePath));
+
+    if (typeof helpers === 'function') {
+      helpers(Handlebars);
+    }
+    else {
+      Handlebars.registerHelper(helpers);
+    }
+  };
 
 
-module.exports = Handlebars;
+  return Handlebars;
+};// module.exports
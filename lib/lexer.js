@@ -0,0 +1,374 @@
+// PL/SQL lexer
+// Splits source code into tokens so that comments, literals and quoted identifiers are never mistaken for code (see dox.js)
+
+var lexer = {};
+
+// Token types
+lexer.TYPES = {
+  WORD: 'word', // Keywords and identifiers. Ex: procedure, my_pkg, $$plsql_unit
+  IDENTIFIER: 'identifier', // Quoted identifiers. Ex: "My Table"
+  STRING: 'string', // Ex: 'it''s', q'[it's]', n'abc'
+  NUMBER: 'number',
+  SYMBOL: 'symbol', // Ex: ;, (, :=, %
+  COMMENT: 'comment', // -- and /* */
+  DIRECTIVE: 'directive' // Conditional compilation. Ex: $if, $then, $end
+};
+
+// Conditional compilation directives
+var DIRECTIVES = ['$if', '$then', '$elsif', '$else', '$end', '$error'];
+
+// Symbols of two characters. Other symbols are a single character
+var SYMBOLS = [':=', '=>', '..', '||', '**', '<>', '!=', '^=', '~=', '<=', '>=', '<<', '>>'];
+
+// First characters of prefixed literals. Ex: q'[...]', n'...', nq'[...]'
+var QUOTE_PREFIXES = ['n', 'N', 'q', 'Q'];
+
+// Closing delimiter of q-quoted strings. Other delimiters close themselves. Ex: q'[...]', q'!...!'
+var Q_DELIMITERS = {
+  '[': ']',
+  '{': '}',
+  '<': '>',
+  '(': ')'
+};
+
+// Sticky expressions, matched at the current position
+var
+  SPACE_REGEXP = /\s+/y,
+  // A "." followed by another "." is a range (Ex: 1..10)
+  NUMBER_REGEXP = /(?:\d+(?:\.(?!\.)\d*)?|\.\d+)(?:e[+-]?\d+)?[fd]?/iy,
+  STRING_REGEXP = /n?'(?:[^']|'')*'?/iy,
+  Q_STRING_REGEXP = /n?q'/iy,
+  IDENTIFIER_REGEXP = /"[^"]*"?/y,
+  DOLLAR_REGEXP = /\$\$?[a-z][\w$#]*/iy
+  ;
+
+
+/**
+ * Returns the number of line breaks in a string
+ *
+ * @param str
+ * @param start optional - Start of the part of str to look at. Default 0
+ * @param end optional - End of the part of str to look at. Default: end of str
+ * @return Number of "\n"
+ */
+function countLines(str, start, end){
+  var
+    count = 0,
+    pos = str.indexOf('\n', start || 0)
+    ;
+
+  end = end === undefined ? str.length : end;
+
+  while (pos !== -1 && pos < end){
+    count++;
+    pos = str.indexOf('\n', pos + 1);
+  }
+
+  return count;
+}// countLines
+
+
+/**
+ * Returns true if a character can start a word: a letter
+ *
+ * @param code Character code
+ * @return boolean
+ */
+function isWordStart(code){
+  return (code >= 97 && code <= 122) || (code >= 65 && code <= 90) || code >= 0xC0;
+}// isWordStart
+
+
+/**
+ * Returns true if a character can be part of a word: a letter, a digit, "_", "$" or "#"
+ *
+ * @param code Character code
+ * @return boolean
+ */
+function isWordPart(code){
+  return isWordStart(code) || (code >= 48 && code <= 57) || code === 95 || code === 36 || code === 35;
+}// isWordPart
+
+
+/**
+ * Returns the end of the match of a sticky expression at pos
+ *
+ * @param regexp Sticky regexp
+ * @param str
+ * @param pos
+ * @return End position of the match or -1
+ */
+function matchAt(regexp, str, pos){
+  regexp.lastIndex = pos;
+  return regexp.test(str) ? regexp.lastIndex : -1;
+}// matchAt
+
+
+/**
+ * Splits source code into tokens. Whitespace is dropped
+ * Unterminated comments, literals and quoted identifiers end at the end of the source
+ *
+ * @param str Source code
+ * @param stop optional - Function called with each token. Tokenizing stops when it returns true. Ex: to find a closing parenthesis
+ * @return Array of tokens: {type, value, start, end, line}. type: see lexer.TYPES. line: line of the start of the token
+ */
+lexer.tokenize = function(str, stop){
+  var
+    tokens = [],
+    pos = 0,
+    line = 1,
+    end
+    ;
+
+  // multiline: the token can contain line breaks. Ex: comments and literals
+  function push(type, multiline){
+    var token = {
+      type: type,
+      value: str.slice(pos, end),
+      start: pos,
+      end: end,
+      line: line
+    };
+
+    tokens.push(token);
+
+    if (multiline){
+      line += countLines(token.value);
+    }
+    pos = end;
+
+    if (stop && stop(token)){
+      pos = str.length;
+    }
+  }// push
+
+  while (pos < str.length){
+    var
+      code = str.charCodeAt(pos),
+      next = str.charCodeAt(pos + 1)
+      ;
+
+    // The first character selects the token, the most common tokens first
+    // Spaces, tabs and line breaks are skipped without expression
+    if (code === 32 || (code >= 9 && code <= 13)){
+      if (code === 10){
+        line++;
+      }
+      pos++;
+    }
+    // Other whitespace characters are all non ASCII characters. Ex: non-breaking space
+    else if (code > 126 && (end = matchAt(SPACE_REGEXP, str, pos)) !== -1){
+      line += countLines(str, pos, end);
+      pos = end;
+    }
+    // --
+    else if (code === 45 && next === 45){
+      end = str.indexOf('\n', pos);
+      end = end === -1 ? str.length : end;
+      push(lexer.TYPES.COMMENT, false);
+    }
+    // /*
+    else if (code === 47 && next === 42){
+      end = str.indexOf('*/', pos + 2);
+      end = end === -1 ? str.length : end + 2;
+      push(lexer.TYPES.COMMENT, true);
+    }
+    else if (QUOTE_PREFIXES.indexOf(str[pos]) !== -1 && (end = matchAt(Q_STRING_REGEXP, str, pos)) !== -1 && end < str.length){
+      var
+        delimiter = str[end],
+        closing = (Q_DELIMITERS[delimiter] || delimiter) + "'"
+        ;
+
+      end = str.indexOf(closing, end + 1);
+      end = end === -1 ? str.length : end + 2;
+      push(lexer.TYPES.STRING, true);
+    }
+    // '
+    else if ((code === 39 || QUOTE_PREFIXES.indexOf(str[pos]) !== -1) && (end = matchAt(STRING_REGEXP, str, pos)) !== -1){
+      push(lexer.TYPES.STRING, true);
+    }
+    else if (isWordStart(code)){
+      end = pos + 1;
+      while (end < str.length && isWordPart(str.charCodeAt(end))){
+        end++;
+      }
+      push(lexer.TYPES.WORD, false);
+    }
+    // Digits and "."
+    else if (((code >= 48 && code <= 57) || code === 46) && (end = matchAt(NUMBER_REGEXP, str, pos)) !== -1){
+      push(lexer.TYPES.NUMBER, false);
+    }
+    // "
+    else if (code === 34){
+      end = matchAt(IDENTIFIER_REGEXP, str, pos);
+      push(lexer.TYPES.IDENTIFIER, true);
+    }
+    // $
+    else if (code === 36 && (end = matchAt(DOLLAR_REGEXP, str, pos)) !== -1){
+      push(DIRECTIVES.indexOf(str.slice(pos, end).toLowerCase()) !== -1 ? lexer.TYPES.DIRECTIVE : lexer.TYPES.WORD, false);
+    }
+    else {
+      end = pos + (SYMBOLS.indexOf(str.slice(pos, pos + 2)) !== -1 ? 2 : 1);
+      push(lexer.TYPES.SYMBOL, false);
+    }
+  }//while
+
+  return tokens;
+}// tokenize
+
+
+/**
+ * Returns the comment tokens of source code: same as the comments of tokenize, without tokenizing the code
+ * The source is searched for the start of comments, literals and quoted identifiers
+ *
+ * @param str Source code
+ * @param withLiterals optional - Also return the literals and quoted identifiers
+ * @return Array of tokens (see tokenize)
+ */
+lexer.findComments = function(str, withLiterals){
+  var
+    tokens = [],
+    line = 1,
+    pos = 0, // Position that line is the line of
+    previousEnd = 0, // End of the previous token
+    startRegexp = /--|\/\*|['"]/g,
+    match,
+    type,
+    start,
+    end
+    ;
+
+  while ((match = startRegexp.exec(str))){
+    start = match.index;
+    type = match[0] === '"' ? lexer.TYPES.IDENTIFIER : match[0] === "'" ? lexer.TYPES.STRING : lexer.TYPES.COMMENT;
+
+    if (type === lexer.TYPES.IDENTIFIER){
+      end = str.indexOf('"', start + 1);
+      end = end === -1 ? str.length : end + 1;
+    }
+    else if (type === lexer.TYPES.STRING){
+      // The literal may start with a prefix (Ex: q'[...]', nq'[...]') and follow a word or a number without space (Ex: seq'...')
+      // The code from the last space (or the previous token) is tokenized so that the literal starts and ends as in tokenize
+      var
+        runStart = start,
+        literal
+        ;
+
+      // Most literals follow a space or a symbol
+      if (start === 0 || !isWordPart(str.charCodeAt(start - 1))){
+        end = matchAt(STRING_REGEXP, str, start);
+      }
+      else {
+        while (runStart > previousEnd && !/\s/.test(str[runStart - 1])){
+          runStart--;
+        }
+        literal = lexer.tokenize(str.slice(runStart), function(token){
+          return token.type === lexer.TYPES.STRING;
+        }).pop();
+        start = runStart + literal.start;
+        end = runStart + literal.end;
+      }
+    }
+    else {
+      end = match[0] === '--' ? str.indexOf('\n', start) : str.indexOf('*/', start + 2);
+      end = end === -1 ? str.length : end + (match[0] === '--' ? 0 : 2);
+    }
+
+    if (type === lexer.TYPES.COMMENT || withLiterals){
+      line += countLines(str, pos, start);
+      pos = start;
+      tokens.push({
+        type: type,
+        value: str.slice(start, end),
+        start: start,
+        end: end,
+        line: line
+      });
+    }
+
+    startRegexp.lastIndex = previousEnd = end;
+  }//while
+
+  return tokens;
+}// findComments
+
+
+/**
+ * Returns the tokens of the code: comments and conditional compilation directives are removed
+ * The conditions ($if ... $then) and errors ($error ... $end) are removed. The code of all the branches is kept
+ *
+ * @param tokens See tokenize
+ * @return Array of tokens
+ */
+lexer.codeTokens = function(tokens){
+  var
+    ret = [],
+    skip = false // In a condition or an error
+    ;
+
+  tokens.forEach(function(token){
+    if (token.type === lexer.TYPES.COMMENT){
+      return;
+    }
+
+    if (token.type === lexer.TYPES.DIRECTIVE){
+      switch (token.value.toLowerCase()){
+        case '$if':
+        case '$elsif':
+        case '$error':
+          skip = true;
+          break;
+        case '$then':
+        case '$end':
+          skip = false;
+          break;
+      }
+      return;
+    }
+
+    if (!skip){
+      ret.push(token);
+    }
+  });//tokens.forEach
+
+  return ret;
+}// codeTokens
+
+
+/**
+ * Splits tokens at the separators that are not nested in parentheses
+ *
+ * @param tokens See codeTokens
+ * @param separators optional - Array of symbols. Default: [';']
+ * @return Array of arrays of tokens. Separators are not included
+ */
+lexer.split = function(tokens, separators){
+  var
+    parts = [[]],
+    depth = 0
+    ;
+
+  separators = separators || [';'];
+
+  tokens.forEach(function(token){
+    if (token.type === lexer.TYPES.SYMBOL){
+      if (token.value === '('){
+        depth++;
+      }
+      else if (token.value === ')'){
+        depth--;
+      }
+      else if (depth === 0 && separators.indexOf(token.value) !== -1){
+        parts.push([]);
+        return;
+      }
+    }
+
+    parts[parts.length - 1].push(token);
+  });//tokens.forEach
+
+  return parts;
+}// split
+
+
+module.exports = lexer;
@@ -1,611 +1,4794 @@
 // This is the custom package for PLSQL to MD
 var
-  debug,
-  extend,
   path = require('path'),
-  dox = require('./dox.js')
+  childProcess = require('child_process'),
+  fs = require('./fs.js'),
+  extend = require('node.extend'),
+  dox = require('./dox.js'),
+  format = require('./format.js'),
+  errors = require('./errors.js'),
+  createDebug = require('./debug.js'),
+  createHandlebars = require('./handlebars.js'),
+  defaultConfig = require('../default.json'),
+  defaultConfigFolder = require('../defaultFolder.json')
   ;
 
-var pmd = {};
-
-
-// Constants
-pmd.DOCTYPES = {
-  FUNCTION: "function",
-  PROCEDURE: "procedure",
-  CURSOR: "cursor",
-  //Note: For constants or dataTypes to be triggered @constants or @types needs to be include
-  CONSTANTS : "constants",
-  DATATYPES: "types",
-  VARIABLES: "variables",
-  EXCEPTIONS: "exceptions",
-  GLOBAL: "global"
-};
-
-// Contains all the files that are being generated. This is used so all the sub package have a TOC to the left
-pmd.globalFiles = [];
 
 /**
- * Handles consistent error handling
- * Process will exit calling this functions
+ * Creates an instance of the generator
+ * Each instance has its own state (warnings, written documents, Handlebars partials and helpers)
  *
- * @param msg Message to log
- * @param includeError optional - Prefix the logged message with "Error: "
+ * @param options optional - {quiet, dryRun, debug}
+ * @return pmd
  */
-pmd.raiseError = function(msg, includeError){
-  includeError = includeError == null ? true : includeError;
-  console.error((includeError ? 'Error: ' : '') + msg);
-  process.exit();
-}//raiseError
+module.exports = function(options){
+  var
+    debug = createDebug(),
+    Handlebars = createHandlebars(),
+    loadedHandlebarsConfig // Handlebars config (partials and helpers) that has already been registered
+    ;
 
+  var pmd = {};
 
-/**
- * Verify that path exists. If not, an error will be raised
- *
- * @param fullPath
- * @param objName If fullPath doesn't exists, objName will be used in error message
- */
-pmd.validatePathRef = function(fullPath, objName){
-  if (fullPath.length == 0){
-    pmd.raiseError('All ' + objName + ' must have a fully qualified path');
-  }
-  else if (!fs.existsSync(path.resolve(fullPath))){
-    pmd.raiseError(objName + ': ' + fullPath + ' does not exist');
+  options = options || {};
+  debug.debug = !!options.debug;
+
+
+  // Ex: function => Function
+  function initCap(str){
+    return str.charAt(0).toUpperCase() + str.slice(1);
   }
-}// validatePathRef
 
 
-/**
- * Processes a PL/SQL file to extract the JavaDoc contents
- *
- * @param file object {path} is required
- * @return JSON object with the JavaDoc entites
- */
-pmd.processFile = function(file){
-  var
-    content = {}
-    ;
+  // Constants
+  pmd.DOCTYPES = {
+    FUNCTION: "function",
+    PROCEDURE: "procedure",
+    CURSOR: "cursor",
+    //Note: For constants or dataTypes to be triggered @constants or @types needs to be include
+    CONSTANTS : "constants",
+    DATATYPES: "types",
+    VARIABLES: "variables",
+    EXCEPTIONS: "exceptions",
+    GLOBAL: "global"
+  };
 
-  var idList = {};
+  // Object kinds which have their own default template (templates/<kind>.<ext>)
+  pmd.TEMPLATE_KINDS = ['function', 'procedure', 'trigger', 'table', 'sequence'];
 
-  function makeIdUnique(id) {
-    if (id in idList) {
-        // remove any existing suffix
-        var base = id.replace(/-\d+$/, "");
-        // generate a new suffix
-        var cnt = idList[base] || 1;
-        // while new suffix is in the list, keep making a different suffix
-        do {
-            id = base + "-" + cnt++;
-        } while (id in idList);
-        // save cnt for more efficient generation next time
-        idList[base] = cnt;
-    }
-    // put the final id in the list so it won't get used again in the future
-    idList[id] = true;
-    // return the newly generated unique id
-    return(id);
-}
+  // Partial of the content of the objects of each kind (templates/partials/<partial>.<ext>), shared by their template and the book. Other kinds: package-content
+  pmd.CONTENT_PARTIALS = {
+    function: 'routine-content',
+    procedure: 'routine-content',
+    trigger: 'trigger-content',
+    table: 'table-content',
+    sequence: 'sequence-content'
+  };
 
-  debug.log('\nProcessing:', file.path);
+  // TOC section titles for each object kind
+  pmd.KIND_TITLES = {
+    package: 'Packages',
+    type: 'Types',
+    view: 'Views',
+    function: 'Functions',
+    procedure: 'Procedures',
+    trigger: 'Triggers',
+    table: 'Tables',
+    sequence: 'Sequences',
+    other: 'Other'
+  };
 
-  content.data = fs.readFileSync(file.path,'utf8');
-  content.json = dox.parseComments(content.data);
+  // Title of one object of each kind. Ex: "1 View" (see buildPortalData)
+  pmd.KIND_NAMES = {
+    package: 'Package',
+    type: 'Type',
+    view: 'View',
+    function: 'Function',
+    procedure: 'Procedure',
+    trigger: 'Trigger',
+    table: 'Table',
+    sequence: 'Sequence',
+    other: 'Other'
+  };
 
-  content.entities = []; //Holds list of entities for the object
+  // Contains all the files that are being generated. This is used so all the sub package have a TOC to the left
+  pmd.globalFiles = [];
 
-  for(var i in content.json) {
-    jsonData = content.json[i];
+  // Contains all the warnings raised while processing the files
+  pmd.warnings = [];
 
-    if(jsonData.ctx == undefined) {
-      continue;
-    }
+  // Contains all the files that have been written (or would be written in dry run mode): [{path, content}]
+  pmd.documents = [];
 
-    var
-      entity = {
-        author:'',
-        constants: [], // For package constants (used by @constant)
-        variables: [],
-        exceptions: [],
-        created:'',
-        example:'',
-        return:'',
-        isPrivate: jsonData.isPrivate,
-        description:'',
-        params:[],
-        throws:[],
-        // typeDesc:[], // TODO mdsouza: better name for this
-        code: '',
-        issues: [],
-        name: '',
-        type: '',
-        types: [] // For package types (used by @type)
-      },
-      tagConstants = [], //temp array for tag with the name of @constant
-      tagTypes = [], //temp array for tag with the name of @type
-      variables = [], //temp array for variables with the name of @var
-      exceptions = []//temp array for exceptions with the name of @exception
-      ;
+  // Site navigation and search index details, shared by all the files in site mode (see generateSite)
+  pmd.site = null;
 
-    if (jsonData.ignore) {
-      debug.log('Ignoring:', jsonData.ctx);
-      continue; // Skip this loop since ignoring
-    }
+  // Dependency graph of the project: {nodes, edges, mermaid, dot} (see linkDependencies)
+  pmd.dependencies = null;
 
-    // If a file doesn't contain any JavaDoc or random block of comments jsonData.ctx will be null
-    if (jsonData.ctx) {
-      entity.type = jsonData.ctx.type;
-    }
-    else {
-      // debug.log('Incorrectly parsed entry:', jsonData.code);
-      continue; // Skip this loop since we dont know what this is
-    }
+  // Manifest of the versions built in the output folder (see the version option of the config)
+  pmd.VERSIONS_FILE_NAME = 'versions.json';
 
-    jsonData.tags.forEach(function(tag){
-      switch (tag.type) {
-        case 'author':
-          entity.author = tag.string;
-          break;
-        case 'created':
-          entity.created = tag.string;
-          break;
-        case 'example':
-          entity.example = tag.string;
-          break;
-        // Future: Devnotes
-        // case 'devnotes':
-        //   myMethod.devNotes = tag.string;
-        //   break;
-        case 'ignore':
-          debug.log('TODO Ignore: ', ignore);
-          break;
-        case 'issue':
-          //This will parse the current issue to be <issue reference> | <issue description>
-          /^\s*([\S]+)\s*(.*)/.exec(tag.string);
+  // Folder of the alias of the newest version
+  pmd.LATEST_VERSION = 'latest';
 
-          entity.issues.push({
-            number: RegExp.$1.replace(/^#+/,''), //Remove any leading hashes to get the ticket number
-            description: RegExp.$2
-          })
-          break;
-        case 'param':
-          entity.params.push({
-            name: tag.name,
-            description: tag.description.replace(/(^<p>|<\/p>$)/g, ''),
-            optional: tag.optional
-          });
-          break;
-        case 'throws':
-          entity.throws.push({
-            description: tag.description.replace(/(^<p>|<\/p>$)/g, '').replace(/(<em>|<\/em>)/g,'')
-          });
-          break;
-        case 'return':
-          entity.return = tag.string;
-          break;
-        case 'constant':
-        case 'var':
-        case 'type':
-        case 'exception':
-          //This will parse the current issue to be <issue reference> | <issue description>
-          /^\s*([\S]+)\s*(.*)/.exec(tag.string);
-          var tempData = {
-            name: RegExp.$1,
-            description: RegExp.$2
-          };
+  // Versions of the documentation, shared by all the files: [{version, url, current, latest}] (see generateVersions). null if the project has no version
+  pmd.versions = null;
 
+  // Anchors of the book (see buildBookData), reserved before the anchors of the objects
+  pmd.BOOK_ANCHORS = ['contents', 'dependencies'];
 
-          if (tag.type === 'type'){
-            tagTypes.push(tempData);
-          } else if (tag.type === 'constant') {
-            tagConstants.push(tempData);
-          } else if (tag.type === 'var') {
-            variables.push(tempData);
-          } else if (tag.type === 'exception') {
-            exceptions.push(tempData);
-          }
+  // Sections of each object in the book. Their anchor is the anchor of the object, "-" and the section. Ex: pkg_util-types (see buildBookData)
+  pmd.BOOK_SECTIONS = ['attributes', 'types', 'cursors', 'constants', 'variables', 'exceptions', 'var', 'columns', 'constraints', 'dependencies'];
 
-          break;
-      }//switch
-    })// jsonData.tags.forEach
+  // Data of the objects that is not copied (nor its links changed) in the book
+  var BOOK_SHARED_KEYS = ['files', 'site', 'versions', 'references'];
 
-    entity.description = jsonData.description ? jsonData.description : '';
-    entity.code = jsonData.code ? jsonData.code : '';
+  // Exit codes of the command line
+  pmd.EXIT_CODES = errors.EXIT_CODES;
 
-    if (entity.code && entity.type === pmd.DOCTYPES.DATATYPES){
+  pmd.EXIT_CODE_DESCRIPTIONS = {
+    SUCCESS: 'Success',
+    CHECK_FAILED: 'Documentation coverage below the threshold (--check)',
+    USAGE: 'Invalid arguments',
+    CONFIG: 'Invalid or missing config file, project, path or template',
+    PROCESSING: 'Unexpected error while processing the files'
+  };
 
-      entity.types = jsonData.ctx.types;
-      // Loop over tags to see if there's one for this typeName
-      for (var i in entity.types){
-        entity.types[i].isPrivate = entity.isPrivate;
+  // Options of the command line. value: name of the value if the option takes one
+  pmd.CLI_OPTIONS = [
+    {name: 'project', value: '<name>', description: 'Project of the config file to generate. Optional if the config file has only one project'},
+    {name: 'config', value: '<path>', description: 'Config file. Default: the first plsql-md-doc.json or config.json found from the current folder up'},
+    {name: 'all-projects', description: 'Generate all the projects of the config file'},
+    {name: 'out', value: '<path>', description: 'Output folder of all the folders. With --all-projects, each project is in a subfolder'},
+    {name: 'portal', value: '<template>', description: 'With --all-projects, render a portal page that lists the projects from this template'},
+    {name: 'portal-file', value: '<path>', description: 'File of the portal page. Default: index file (with the extension of the template) in --out'},
+    {name: 'doc-version', value: '<version>', description: 'Version of the documentation. Replaces the version of the config'},
+    {name: 'debug', description: 'Run in debug mode'},
+    {name: 'dry-run', description: 'Process the files but do not write anything. Lists the files that would be written'},
+    {name: 'quiet', description: 'Only print errors (and the --check report)'},
+    {name: 'check', description: 'Report the documentation coverage instead of generating the documentation'},
+    {name: 'format', value: '<format>', description: 'Format of the --check report (text or json) or of the diff (markdown or json)'},
+    {name: 'threshold', value: '<percent>', description: 'Minimum coverage for --check'},
+    {name: 'watch', description: 'Regenerate the documentation when files change'},
+    {name: 'help', alias: 'h', description: 'Show this help'},
+    {name: 'version', alias: 'v', description: 'Show the version'}
+  ];
 
-        tagTypes.forEach(function(tagType){
-          if (entity.types[i].name === tagType.name){
-            entity.types[i].description = tagType.description
-          }
-        });//tagTypes.forEach
-      }//i in entity.types
+  // Version of the JSON model (see exportModel). The major version changes when the model is not backward compatible
+  pmd.MODEL_VERSION = '2.0.0';
 
-    }//entity.code && entity.type === pmd.DOCTYPES.DATATYPES
+  // JSON Schema of the model
+  pmd.MODEL_SCHEMA_URL = 'https://raw.githubusercontent.com/OraOpenSource/plsql-md-doc/master/schema/model.schema.json';
 
-    if (entity.code && entity.type === pmd.DOCTYPES.CONSTANTS){
-      entity.constants = jsonData.ctx.constants;
+  // Documentation of a member documented in both the specification and the body (see mergeObjs)
+  //  spec: the specification wins, body: the body wins, concat: both are kept (specification first)
+  // Empty tags are always completed with the other file
+  pmd.DOC_PRECEDENCES = ['spec', 'body', 'concat'];
 
-      // Loop over constants to see if there's one for this constantName
-      for (var i in entity.constants){
-        entity.constants[i].isPrivate = entity.isPrivate;
+  // Built-in JavaDoc tags (see processFile). Other tags must be declared in the tags section of the config (see setTags)
+  pmd.TAGS = ['attribute', 'author', 'constant', 'created', 'deprecated', 'example', 'exception', 'group', 'ignore', 'issue', 'param', 'private', 'return', 'see', 'since', 'throws', 'todo', 'type', 'var'];
 
-        tagConstants.forEach(function(constantType){
-          if (entity.constants[i].name === constantType.name){
-            entity.constants[i].description = constantType.description
-          }
-        });//tagConstants.forEach
-      }//i in entity.types
-    }//entity.code && entity.type === pmd.DOCTYPES.CONSTANTS
+  // Formats of the custom tags
+  //  text: text of the tag, nameDescription: {name, description}. Ex: @requirement REQ-12 Export as CSV
+  pmd.TAG_FORMATS = ['text', 'nameDescription'];
 
-    if (entity.code && entity.type === pmd.DOCTYPES.VARIABLES){
-      entity.variables = jsonData.ctx.variables;
+  // Custom tags of the project: {name: {multiple, format}} (see setTags)
+  pmd.tags = {};
 
-      // Loop over variables to see if there's one for this variableName
-      for (var i in entity.variables){
-        entity.variables[i].isPrivate = entity.isPrivate;
+  // Issue tracker and author links of the project (see setLinks)
+  // issues: {url, prefixes: {prefix: url}}. authors: {name: {url, handle}}
+  pmd.links = {
+    issues: {
+      url: '',
+      prefixes: {}
+    },
+    authors: {}
+  };
 
-        variables.forEach(function(varType){
-          if (entity.variables[i].name === varType.name){
-            entity.variables[i].description = varType.description
-          }
-        });//tagVariables.forEach
-      }//i in entity.types
-    }//entity.code && entity.type === pmd.DOCTYPES.VARIABLES
+  // Kinds of dependencies between objects (see linkDependencies)
+  pmd.DEPENDENCY_KINDS = {
+    CALL: 'call', // Procedures and functions. Ex: pkg.proc(...), my_function
+    TYPE: 'type', // Types. Ex: t_my_object, pkg.t_rec
+    ANCHOR: 'anchor', // %type and %rowtype. Ex: emp%rowtype, emp.ename%type
+    REFERENCE: 'reference' // Other references. Ex: tables and views in queries, sequences, constants
+  };
 
-    if (entity.code && entity.type === pmd.DOCTYPES.EXCEPTIONS){
-      entity.exceptions = jsonData.ctx.exceptions;
+  // Placeholders of the issue URL patterns. Ex: https://github.com/org/repo/issues/{number}
+  pmd.ISSUE_URL_PLACEHOLDERS = {
+    NUMBER: '{number}', // Issue number as written, without leading hashes. Ex: JIRA-123
+    ID: '{id}' // Issue number without the matched prefix. Ex: 123
+  };
 
-      // Loop over exceptions to see if there's one for this exceptionName
-      for (var i in entity.exceptions){
-        entity.exceptions[i].isPrivate = entity.isPrivate;
+  // Language of the code of an @example without language hint
+  pmd.EXAMPLE_LANGUAGE = 'plsql';
 
-        exceptions.forEach(function(exceptionType){
-          if (entity.exceptions[i].name === exceptionType.name){
-            entity.exceptions[i].description = exceptionType.description
-          }
-        });//tagExceptions.forEach
-      }//i in entity.types
-    }//entity.code && entity.type === pmd.DOCTYPES.EXCEPTIONS
+  // Line of an @example that separates the code from its result. Ex: "Result:", "-- Result"
+  pmd.EXAMPLE_RESULT_REGEXP = /^\s*(?:--\s*)?result:?\s*$/i;
 
+  // Source files of the source trees compared by diff (see readSourceTree)
+  pmd.SOURCE_FILE_REGEXP = /\.(pks|pkb|tps|tpb|vw|sql|prc|fnc|trg|tab|seq)$/i;
 
-    if (entity.code && (entity.type === pmd.DOCTYPES.FUNCTION || entity.type === pmd.DOCTYPES.PROCEDURE || entity.type == pmd.DOCTYPES.CURSOR)){
+  // Config file names, searched from the current folder up
+  pmd.CONFIG_FILE_NAMES = ['plsql-md-doc.json', 'config.json'];
 
-      entity.name = makeIdUnique(jsonData.ctx.name);
-      entity.displayName = jsonData.ctx.name;
-      // TODO mdsouza: cleanup?
-      // entity.name = entity.code.match(/^\s*(procedure|function){1}\s+\w+/ig)[0];
-      // entity.name = entity.name.replace(/^\s*(procedure|function){1}/ig, "").trim();
+  // Don't print warnings and information messages
+  pmd.quiet = !!options.quiet;
 
-      entity.header = jsonData.ctx.header;
+  // Don't write any file (see writeFile)
+  pmd.dryRun = !!options.dryRun;
 
-    }//entity.docType === docTypes.method
 
-    content.entities.push(entity);
-  }; // content.json.forEach
+  /**
+   * Prints an information message, unless in quiet mode
+   *
+   * @param msg
+   */
+  pmd.log = function(msg){
+    if (!pmd.quiet){
+      console.log(msg);
+    }
+  }//log
 
-  return content.entities;
-}// processFile
 
-/**
- * Returns the arguments JSON objects
- * Handles validation that all arguments are passed in
- *
- * @param process process object from calling function
- * @return arguments JSON object
- */
-pmd.getArguments = function(process){
-  var
-    args = process.argv.slice(2), // Array of arguments
-    arguments = {
-      project :  args[0],
-      config : args[1]
+  /**
+   * Writes a file, creating its folder if needed
+   * The file is added to pmd.documents. In dry run mode the file is only listed
+   *
+   * @param filePath
+   * @param content
+   */
+  pmd.writeFile = function(filePath, content){
+    var document = pmd.documents.filter(function(document){
+      return document.path === filePath;
+    })[0];
+
+    // In watch mode the same files are written again
+    if (document){
+      document.content = content;
+    }
+    else {
+      pmd.documents.push({
+        path: filePath,
+        content: content
+      });
     }
-    ;
 
-  // Validation and Data Load
-  if (args.length === 0){
-    pmd.raiseError('To run call: node app <project>', false);
-  }
-  // Check that config file exists
-  if (!fs.existsSync(path.resolve(__dirname + '/../','config.json'))){
-    pmd.raiseError('config.json must be present. TODO run generateConfig.js to generate default');
-  }
+    if (pmd.dryRun){
+      pmd.log('Would write: ' + filePath);
+      return;
+    }
+    fs.outputFileSync(filePath, content);
+  }//writeFile
 
-  return arguments;
-}//getArguments
 
+  /**
+   * Logs a warning about a source file
+   * Processing will continue after a warning
+   *
+   * @param msg Message to log
+   * @param file optional - Path of the file that raised the warning
+   * @param line optional - Line number in file
+   */
+  pmd.warn = function(msg, file, line){
+    var location = file ? file + (line ? ':' + line : '') + ' ' : '';
 
-pmd.readFolder = function(objs, config, folder) {
-  var
-    files     = fs.readdirSync(path.resolve(folder.source.path)),
-    template  = Handlebars.compile(folder.templateContent)
-    ;
+    pmd.warnings.push({
+      file: file,
+      line: line,
+      message: msg
+    });
+    if (!pmd.quiet){
+      console.warn('Warning: ' + location + msg);
+    }
+  }//warn
 
-  files.forEach(function (fileName) {
-    stats = fs.lstatSync(folder.source.path + '/' + fileName);
 
-    if (stats.isDirectory()) {
-      // Clone the old folder object and create a new without the reference
-      var newFolder = JSON.parse(JSON.stringify(folder));
+  /**
+   * Verify that path exists. If not, a ConfigError is thrown
+   *
+   * @param fullPath
+   * @param objName If fullPath doesn't exists, objName will be used in error message
+   */
+  pmd.validatePathRef = function(fullPath, objName){
+    if (fullPath.length == 0){
+      throw new errors.ConfigError('All ' + objName + ' must have a fully qualified path');
+    }
+    else if (!fs.existsSync(path.resolve(fullPath))){
+      throw new errors.ConfigError(objName + ': ' + fullPath + ' does not exist', {path: fullPath});
+    }
+  }// validatePathRef
 
-      newFolder.source.path             += '/' + fileName;
-      newFolder.source.fileFilterRegexp = folder.source.fileFilterRegexp;
 
-      pmd.readFolder(objs, config, newFolder);
+  /**
+   * Sets the custom tags of the project. A ConfigError is thrown if a tag is invalid
+   *
+   * @param tags Tags section of the config: {name: {multiple, format}}. multiple: the tag can be used several times (default false), format: see TAG_FORMATS (default text)
+   */
+  pmd.setTags = function(tags){
+    if (!tags || typeof tags !== 'object' || Array.isArray(tags)){
+      throw new errors.ConfigError('tags must be an object');
     }
-  });
 
-  // Create and wipe debug folder
-  if (config.debug){
-    // Will create (if not exists) and wipe
-    fs.emptyDirSync(path.resolve(__dirname,'debug'));
-  }//config.debug
+    pmd.tags = {};
 
-  for (var i in files){
-    var
-      file = {
-        ext: '',
-        name: '',
-        path: ''
-      },
-      data = {
-        name:'',
-        types: [],
-        constants: [],
-        methods: [],
-        variables: [],
-        files: [],
-        exceptions: [],
-        projectDispName: config.projectDispName
+    Object.keys(tags).forEach(function(name){
+      var tag = extend({multiple: false, format: 'text'}, tags[name]);
+
+      if (!/^[a-z][\w-]*$/i.test(name)){
+        throw new errors.ConfigError('tags.' + name + ': invalid tag name');
+      }
+      if (pmd.TAGS.indexOf(name.toLowerCase()) !== -1){
+        throw new errors.ConfigError('tags.' + name + ': @' + name + ' is a built-in tag');
+      }
+      if (pmd.TAG_FORMATS.indexOf(tag.format) === -1){
+        throw new errors.ConfigError('tags.' + name + '.format must be one of: ' + pmd.TAG_FORMATS.join(', '));
+      }
+
+      pmd.tags[name] = {
+        multiple: !!tag.multiple,
+        format: tag.format
+      };
+    });
+  }// setTags
+
+
+  /**
+   * Sets the issue tracker and author links of the project. Throws a ConfigError if they are invalid
+   *
+   * @param issues Issues section of the config: {url, prefixes}. url: URL pattern of the issues (see ISSUE_URL_PLACEHOLDERS), prefixes: {prefix: URL pattern} for the issue numbers that start with prefix. Ex: {"JIRA-": "https://tracker.example/browse/{number}"}
+   * @param authors Authors section of the config: {name: profile}. profile: URL, handle (Ex: @jdoe) or {url, handle}
+   */
+  pmd.setLinks = function(issues, authors){
+    function checkPattern(pattern, name){
+      if (typeof pattern !== 'string'){
+        throw new errors.ConfigError(name + ' must be a string');
+      }
+      return pattern;
+    }
+
+    issues = issues || {};
+    authors = authors || {};
+
+    if (!issues.prefixes || typeof issues.prefixes !== 'object' || Array.isArray(issues.prefixes)){
+      throw new errors.ConfigError('issues.prefixes must be an object');
+    }
+    if (typeof authors !== 'object' || Array.isArray(authors)){
+      throw new errors.ConfigError('authors must be an object');
+    }
+
+    pmd.links = {
+      issues: {
+        url: checkPattern(issues.url || '', 'issues.url'),
+        prefixes: {}
       },
-      markdown,
-      entities,
-      skipFile = false //Skips the current file if no JavaDoc detected
+      authors: {}
+    };
+
+    Object.keys(issues.prefixes).forEach(function(prefix){
+      pmd.links.issues.prefixes[prefix] = checkPattern(issues.prefixes[prefix], 'issues.prefixes.' + prefix);
+    });
+
+    Object.keys(authors).forEach(function(name){
+      var profile = authors[name];
+
+      if (typeof profile === 'string'){
+        profile = /^([a-z]+:|\/)/i.test(profile) ? {url: profile} : {handle: profile};
+      }
+      if (!profile || typeof profile !== 'object' || Array.isArray(profile)){
+        throw new errors.ConfigError('authors.' + name + ' must be a URL, a handle or an object: {url, handle}');
+      }
+
+      // Names are matched case insensitively
+      pmd.links.authors[name.trim().toLowerCase()] = {
+        url: profile.url || null,
+        handle: profile.handle || null
+      };
+    });
+  }// setLinks
+
+
+  /**
+   * Returns the URL of an issue (see setLinks)
+   * The longest matching prefix is used. Issues without matching prefix use the issues URL
+   *
+   * @param number Issue number. Ex: 45, JIRA-123
+   * @return URL or null if the project has no URL for the issue
+   */
+  pmd.getIssueUrl = function(number){
+    var
+      prefixes = pmd.links.issues.prefixes,
+      prefix = Object.keys(prefixes).filter(function(prefix){
+        return number.toLowerCase().indexOf(prefix.toLowerCase()) === 0;
+      }).sort(function(a, b){
+        return b.length - a.length;
+      })[0],
+      pattern = prefix === undefined ? pmd.links.issues.url : prefixes[prefix]
       ;
 
-    if (1==2 ||
-      (folder.source.fileFilterRegexp instanceof RegExp && folder.source.fileFilterRegexp.test(files[i])) ||
-      !folder.source.fileFilterRegexp instanceof RegExp){
+    if (!pattern){
+      return null;
+    }
 
-      let docExtName = path.extname(folder.template);
-      file.ext = path.extname(files[i]);
-      file.name = path.basename(files[i], file.ext);
-      file.path = path.resolve(folder.source.path, files[i]);
-      file.docFileName = file.name + docExtName;
+    return pattern
+      .split(pmd.ISSUE_URL_PLACEHOLDERS.NUMBER).join(encodeURIComponent(number))
+      .split(pmd.ISSUE_URL_PLACEHOLDERS.ID).join(encodeURIComponent(number.slice((prefix || '').length)));
+  }// getIssueUrl
+
+
+  /**
+   * Returns the authors of an @author tag with their profile (see setLinks)
+   *
+   * @param author Text of @author. Several authors are separated by commas (Ex: merged spec and body, see mergeDoc)
+   * @return Array of {name, url, handle}. url and handle are null if the author isn't in the authors of the config
+   */
+  pmd.getAuthors = function(author){
+    return (author || '').split(',').map(function(name){
+      return name.trim();
+    }).filter(function(name, i, names){
+      return name && names.indexOf(name) === i;
+    }).map(function(name){
+      var profile = pmd.links.authors[name.toLowerCase()] || {};
+
+      return {
+        name: name,
+        url: profile.url || null,
+        handle: profile.handle || null
+      };
+    });
+  }// getAuthors
+
+
+  /**
+   * Returns the custom tag of a JavaDoc tag
+   *
+   * @param type Type of the tag. Ex: requirement for @requirement
+   * @return Name of the custom tag (as declared in the config) or undefined if the tag isn't declared
+   */
+  pmd.getCustomTag = function(type){
+    return Object.keys(pmd.tags).filter(function(name){
+      return name.toLowerCase() === type.toLowerCase();
+    })[0];
+  }// getCustomTag
+
+
+  /**
+   * Processes a PL/SQL file to extract the JavaDoc contents
+   *
+   * @param file object {path} is required. {content} optional - Source of the file, read from path if not set
+   * @return JSON object with the JavaDoc entites
+   */
+  pmd.processFile = function(file){
+    var
+      content = {}
+      ;
+
+    debug.log('\nProcessing:', file.path);
+
+    // The source can be passed directly (see parse)
+    content.data = file.content != null ? file.content : fs.readFileSync(file.path,'utf8');
+    // Descriptions are kept in Markdown and rendered for each output format (see renderTemplate)
+    content.json = dox.parseComments(content.data, {raw: true});
+
+    // The main object of the file (Ex: package, table) is parsed even if it has no JavaDoc
+    content.object = dox.parseObject(content.data);
+    file.object = content.object;
+
+    // Declarations of specifications and bodies, documented or not (see mergeSpecBody and checkDocs)
+    file.declarations = content.object && (content.object.kind === 'package' || content.object.kind === 'type') ? dox.parseDeclarations(content.data) : [];
+
+    // Names referenced by the code, documented or not (see linkDependencies)
+    file.references = dox.parseReferences(content.data);
+
+    content.entities = []; //Holds list of entities for the object
 
-      data.name = file.name;
-      entities = pmd.processFile(file, debug);
+    for(var i in content.json) {
+      var jsonData = content.json[i];
 
-      if(!entities) {
-        skipFile = true;
+      if(jsonData.ctx == undefined) {
+        continue;
+      }
+
+      var
+        entity = {
+          author:'',
+          constants: [], // For package constants (used by @constant)
+          variables: [],
+          exceptions: [],
+          created:'',
+          deprecated: null, // {description} (used by @deprecated)
+          example:'', // Code of the first @example
+          examples: [], // {title, language, code, result} (used by @example, see parseExample)
+          group: '', // Section of the method (used by @group, see groupOverloads)
+          return:'',
+          since: '', // Ex: a version (used by @since)
+          isPrivate: jsonData.isPrivate,
+          description:'',
+          params:[],
+          throws:[],
+          // typeDesc:[], // TODO mdsouza: better name for this
+          code: '',
+          issues: [],
+          name: '',
+          see: [], // References (used by @see)
+          tags: {}, // Custom tags (see setTags)
+          todos: [], // {description} (used by @todo)
+          type: '',
+          types: [], // For package types (used by @type)
+          unmatchedTags: [], // @constant, @var, @type and @exception tags that don't match any declaration
+          file: file.path, // Location of the JavaDoc, used for warnings
+          line: jsonData.line
+        },
+        tagConstants = [], //temp array for tag with the name of @constant
+        tagTypes = [], //temp array for tag with the name of @type
+        variables = [], //temp array for variables with the name of @var
+        exceptions = [],//temp array for exceptions with the name of @exception
+        tagAttributes = [] //temp array for object type attributes with the name of @attribute
+        ;
+
+      Object.keys(pmd.tags).forEach(function(name){
+        entity.tags[name] = pmd.tags[name].multiple ? [] : null;
+      });
+
+      // /*! comments and @ignore
+      var isIgnored = jsonData.ignore || jsonData.tags.some(function(tag){
+        return tag.type === 'ignore';
+      });
+
+      if (isIgnored) {
+        debug.log('Ignoring:', jsonData.ctx);
+        continue; // Skip this loop since ignoring
+      }
+
+      // If a file doesn't contain any JavaDoc or random block of comments jsonData.ctx will be null
+      if (jsonData.ctx) {
+        entity.type = jsonData.ctx.type;
       }
       else {
-        // Load the data arrays with appropriate fields
-        entities.forEach(function(entity){
-          switch(entity.type){
-            case pmd.DOCTYPES.DATATYPES:
-              data.types = data.types.concat(entity.types);
-              break;
-            case pmd.DOCTYPES.FUNCTION:
-            case pmd.DOCTYPES.PROCEDURE:
-            case pmd.DOCTYPES.CURSOR:
-              data.methods.push(entity);
-              break;
-            case pmd.DOCTYPES.CONSTANTS:
-              data.constants = data.constants.concat(entity.constants);
-              break;
-            case pmd.DOCTYPES.VARIABLES:
-              data.variables = data.variables.concat(entity.variables);
-              break;
-            case pmd.DOCTYPES.EXCEPTIONS:
-              data.exceptions = data.exceptions.concat(entity.exceptions);
+        // debug.log('Incorrectly parsed entry:', jsonData.code);
+        continue; // Skip this loop since we dont know what this is
+      }
+
+      jsonData.tags.forEach(function(tag){
+        var customTag;
+
+        switch (tag.type) {
+          case 'author':
+            entity.author = tag.string;
+            break;
+          case 'created':
+            entity.created = tag.string;
+            break;
+          case 'deprecated':
+            entity.deprecated = {
+              description: tag.string
+            };
+            break;
+          case 'example':
+            entity.examples.push(pmd.parseExample(tag.raw));
+            entity.example = entity.examples[0].code;
+            break;
+          // Future: Devnotes
+          // case 'devnotes':
+          //   myMethod.devNotes = tag.string;
+          //   break;
+          case 'group':
+            entity.group = tag.string;
+            break;
+          case 'issue':
+            //This will parse the current issue to be <issue reference> | <issue description>
+            var issueMatch = /^\s*([\S]+)\s*(.*)/.exec(tag.string) || ['', '', ''];
+
+            entity.issues.push({
+              number: issueMatch[1].replace(/^#+/,''), //Remove any leading hashes to get the ticket number
+              description: issueMatch[2]
+            })
+            break;
+          case 'param':
+            entity.params.push({
+              name: tag.name,
+              description: tag.description,
+              optional: tag.optional
+            });
+            break;
+          case 'throws':
+            // <optional error code> <description>. Ex: -20001 Invalid id, ORA-01403 No data found
+            var throwsMatch = /^((?:[a-z]{3}-)?-?\d+\b)?\s*([\s\S]*)/i.exec(tag.description);
+
+            entity.throws.push({
+              code: throwsMatch[1] || null,
+              description: throwsMatch[2]
+            });
+            break;
+          case 'return':
+            entity.return = tag.string;
+            break;
+          case 'since':
+            entity.since = tag.string;
+            break;
+          case 'todo':
+            entity.todos.push({
+              description: tag.string
+            });
+            break;
+          case 'see':
+            // <reference> <optional text>. The reference is resolved once all the files are processed (see resolveLinks)
+            var seeMatch = /^\s*(\S+)\s*(.*)/.exec(tag.string);
+
+            if (!seeMatch){
+              pmd.warn('@see has no reference', file.path, entity.line);
               break;
-            case undefined:
-              debug.log('\nFile:', files[i], "doesn't appear to have any JavaDoc in it. Skipping");
-              skipFile = false;
+            }
+            entity.see.push({
+              reference: seeMatch[1],
+              text: seeMatch[2] || seeMatch[1],
+              url: null
+            });
+            break;
+          case 'constant':
+          case 'var':
+          case 'type':
+          case 'exception':
+          case 'attribute':
+            // <name> <description (optional)>. The description can be on several lines
+            var nameDescriptionMatch = /^\s*([\S]+)\s*([\s\S]*)/.exec(tag.string);
+
+            if (!nameDescriptionMatch){
+              pmd.warn('@' + tag.type + ' has no name', file.path, entity.line);
               break;
-            case pmd.DOCTYPES.GLOBAL:
-              if(data.global == undefined) {
-                data.global = entity;
+            }
+            var tempData = {
+              name: nameDescriptionMatch[1],
+              description: nameDescriptionMatch[2]
+            };
+
+
+            if (tag.type === 'type'){
+              tagTypes.push(tempData);
+            } else if (tag.type === 'constant') {
+              tagConstants.push(tempData);
+            } else if (tag.type === 'var') {
+              variables.push(tempData);
+            } else if (tag.type === 'exception') {
+              exceptions.push(tempData);
+            } else if (tag.type === 'attribute') {
+              tagAttributes.push(tempData);
+            }
+
+            break;
+          case 'private':
+            // Handled by dox (isPrivate)
+            break;
+          default:
+            customTag = pmd.getCustomTag(tag.type);
+
+            if (!customTag){
+              var message = 'Unknown tag @' + tag.type + '. Custom tags must be declared in the tags section of the config';
+
+              // Once for each file, even if several folders of the config read it
+              if (!pmd.warnings.some(function(warning){
+                return warning.file === file.path && warning.message === message;
+              })){
+                pmd.warn(message, file.path, entity.line);
               }
               break;
-            default:
-              debug.log('entity', entity);
-              console.log('Unknown type: ', entity.type);
-              process.exit();
-              break;
-          }//switch
-        });//entities.forEach
-      }//else
+            }
 
-      if (skipFile){
-        continue; // Skip this loop iteration
-      }
+            var value = tag.string;
 
-      // Output JSON and md data
-      if (config.debug){
-        debug.logFile(file.name + file.ext + '.json', JSON.stringify(data, null, '  '));
-      }
+            if (pmd.tags[customTag].format === 'nameDescription'){
+              var nameMatch = /^\s*(\S*)\s*([\s\S]*)/.exec(tag.string);
 
-      objs.push(
-        {
-          fileData: data,
-          template: template,
-          folder: folder
+              value = {
+                name: nameMatch[1],
+                description: nameMatch[2]
+              };
+            }
+
+            if (pmd.tags[customTag].multiple){
+              entity.tags[customTag].push(value);
+            }
+            else {
+              entity.tags[customTag] = value;
+            }
+            break;
+        }//switch
+      })// jsonData.tags.forEach
+
+      entity.description = jsonData.description ? jsonData.description : '';
+      entity.code = jsonData.code ? jsonData.code : '';
+
+      if (entity.code && entity.type === pmd.DOCTYPES.DATATYPES){
+
+        entity.types = jsonData.ctx.types;
+        // Loop over tags to see if there's one for this typeName
+        for (var i in entity.types){
+          var refCursor = dox.parseRefCursor(entity.types[i].code);
+
+          // Ref cursor types are listed with the cursors (see buildData). returnedBy: see linkCursors
+          if (refCursor){
+            entity.types[i].isRefCursor = true;
+            entity.types[i].returnType = refCursor.returnType;
+            entity.types[i].returnedBy = [];
+          }
+          entity.types[i].isPrivate = entity.isPrivate;
+          entity.types[i].deprecated = entity.deprecated;
+          entity.types[i].since = entity.since;
+          entity.types[i].file = entity.file;
+          entity.types[i].line = entity.types[i].line || entity.line;
+
+          tagTypes.forEach(function(tagType){
+            if (entity.types[i].name === tagType.name){
+              entity.types[i].description = tagType.description
+            }
+          });//tagTypes.forEach
+        }//i in entity.types
+
+      }//entity.code && entity.type === pmd.DOCTYPES.DATATYPES
+
+      if (entity.code && entity.type === pmd.DOCTYPES.CONSTANTS){
+        entity.constants = jsonData.ctx.constants;
+
+        // Loop over constants to see if there's one for this constantName
+        for (var i in entity.constants){
+          entity.constants[i].isPrivate = entity.isPrivate;
+          entity.constants[i].deprecated = entity.deprecated;
+          entity.constants[i].since = entity.since;
+          entity.constants[i].file = entity.file;
+          entity.constants[i].line = entity.constants[i].line || entity.line;
+
+          tagConstants.forEach(function(constantType){
+            if (entity.constants[i].name === constantType.name){
+              entity.constants[i].description = constantType.description
+            }
+          });//tagConstants.forEach
+        }//i in entity.types
+      }//entity.code && entity.type === pmd.DOCTYPES.CONSTANTS
+
+      if (entity.code && entity.type === pmd.DOCTYPES.VARIABLES){
+        entity.variables = jsonData.ctx.variables;
+
+        // Loop over variables to see if there's one for this variableName
+        for (var i in entity.variables){
+          entity.variables[i].isPrivate = entity.isPrivate;
+          entity.variables[i].deprecated = entity.deprecated;
+          entity.variables[i].since = entity.since;
+          entity.variables[i].file = entity.file;
+          entity.variables[i].line = entity.variables[i].line || entity.line;
+
+          variables.forEach(function(varType){
+            if (entity.variables[i].name === varType.name){
+              entity.variables[i].description = varType.description
+            }
+          });//tagVariables.forEach
+        }//i in entity.types
+      }//entity.code && entity.type === pmd.DOCTYPES.VARIABLES
+
+      if (entity.code && entity.type === pmd.DOCTYPES.EXCEPTIONS){
+        entity.exceptions = jsonData.ctx.exceptions;
+
+        // Loop over exceptions to see if there's one for this exceptionName
+        for (var i in entity.exceptions){
+          entity.exceptions[i].isPrivate = entity.isPrivate;
+          entity.exceptions[i].deprecated = entity.deprecated;
+          entity.exceptions[i].since = entity.since;
+          entity.exceptions[i].file = entity.file;
+          entity.exceptions[i].line = entity.exceptions[i].line || entity.line;
+
+          exceptions.forEach(function(exceptionType){
+            if (entity.exceptions[i].name === exceptionType.name){
+              entity.exceptions[i].description = exceptionType.description
+            }
+          });//tagExceptions.forEach
+        }//i in entity.types
+      }//entity.code && entity.type === pmd.DOCTYPES.EXCEPTIONS
+
+      [
+        ['constant', tagConstants, entity.constants],
+        ['var', variables, entity.variables],
+        ['type', tagTypes, entity.types],
+        ['exception', exceptions, entity.exceptions]
+      ].forEach(function(tags){
+        tags[1].forEach(function(tag){
+          var found = tags[2].some(function(declaration){
+            return declaration.name === tag.name;
+          });
+
+          if (!found){
+            entity.unmatchedTags.push({
+              tag: tags[0],
+              name: tag.name,
+              line: entity.line
+            });
+          }
+        });
+      });
+
+      if (entity.code && (entity.type === pmd.DOCTYPES.FUNCTION || entity.type === pmd.DOCTYPES.PROCEDURE || entity.type == pmd.DOCTYPES.CURSOR)){
+
+        // Overloads have the same name (see groupOverloads)
+        entity.name = jsonData.ctx.name;
+        entity.displayName = jsonData.ctx.name;
+        // TODO mdsouza: cleanup?
+        // entity.name = entity.code.match(/^\s*(procedure|function){1}\s+\w+/ig)[0];
+        // entity.name = entity.name.replace(/^\s*(procedure|function){1}/ig, "").trim();
+
+        entity.header = jsonData.ctx.header;
+        entity.signature = jsonData.ctx.signature;
+        entity.params = pmd.mergeParams(entity, file, jsonData.codeStart);
+
+        // Query of the cursors, empty if it's only declared. Ex: cursor c_emp return emp%rowtype; in a package specification
+        if (entity.type === pmd.DOCTYPES.CURSOR){
+          entity.query = jsonData.ctx.query;
         }
-      );
-    }//if regexp pass or no regexp
-  }// for i in files
-}
 
-/**
- * Generates the data based on the files
- *
- * @param config Config JSON
- * @return objs array
- */
-pmd.generateData = function(config){
-  var objs = [];
-  var indexData = [];
+        // Object type methods
+        if (jsonData.ctx.memberKind){
+          entity.memberKind = jsonData.ctx.memberKind;
+          entity.isOverriding = jsonData.ctx.isOverriding;
+          entity.isFinal = jsonData.ctx.isFinal;
+          entity.isInstantiable = jsonData.ctx.isInstantiable;
+        }
 
-  config.folders.forEach(function(folder){
-    pmd.readFolder(objs, config, folder);
-  }); //config.folders.forEach
+      }//entity.docType === docTypes.method
 
-  // make the indexData available to all files
-  // remove duplicates from indexData
-  objs.forEach(function(obj){
-    obj.fileData.files = indexData.filter(function(item, pos, ary) {
-                                            return !pos || item.name != ary[pos - 1].name;
-                                        });
-  }); // objs.forEach
+      if (entity.type === pmd.DOCTYPES.GLOBAL){
+        entity.kind = jsonData.ctx.kind;
+        entity.isBody = jsonData.ctx.isBody;
 
-  return objs;
-}//pmd.generateData
+        // The attributes of an object type are parsed from the full file since they may be split by JavaDoc of the methods
+        if (content.object && content.object.objectType){
+          entity.objectType = content.object.objectType;
 
+          if (entity.objectType.kind === 'object'){
+            entity.objectType.attributes.forEach(function(attribute){
+              attribute.description = '';
 
-/**
- * Merge files (based on duplicate file names). Ex pks and pkb
- * Order is arbitrary
- *
- * @param objs Array of all the objects
- * @return Merged array
- */
-pmd.mergeObjs = function(objs){
-  objs.forEach(function(obj, i){
-    //Seach for a matching element
+              tagAttributes.forEach(function(tagAttribute){
+                if (attribute.name.toLowerCase() === tagAttribute.name.toLowerCase()){
+                  attribute.description = tagAttribute.description;
+                }
+              });//tagAttributes.forEach
+            });//entity.objectType.attributes.forEach
+          }
+        }
+
+        // Standalone procedures and functions
+        if (jsonData.ctx.signature){
+          entity.name = jsonData.ctx.name;
+          entity.displayName = jsonData.ctx.name;
+          entity.header = jsonData.ctx.header;
+          entity.signature = jsonData.ctx.signature;
+          entity.params = pmd.mergeParams(entity, file, jsonData.codeStart);
+        }
+      }//entity.type === pmd.DOCTYPES.GLOBAL
+
+      content.entities.push(entity);
+    }; // content.json.forEach
+
+    return content.entities;
+  }// processFile
+
+
+  /**
+   * Parses an @example tag
+   * The first line has an optional language hint in braces and an optional title. The code follows on the next lines, then an optional result after a result line (see EXAMPLE_RESULT_REGEXP)
+   * Ex: @example {sql} Names of the users
+   *
+   * @param str Text of the tag, with its line breaks (see dox.parseTag)
+   * @return {title, language, code, result}. language: default EXAMPLE_LANGUAGE. result: '' if none
+   */
+  pmd.parseExample = function(str){
     var
-      data = obj.fileData,
-      relatedData // Holds any
+      lines = str.split('\n'),
+      firstLine = /^\s*(?:\{\s*([\w-]+)\s*\})?\s*(.*)$/.exec(lines.shift()),
+      resultLine = -1,
+      example = {
+        title: firstLine[2].trim(),
+        language: (firstLine[1] || pmd.EXAMPLE_LANGUAGE).toLowerCase(),
+        code: '',
+        result: ''
+      }
       ;
 
-    // Loop over array but starting at next element
-    for (var j = i+1; j < objs.length; j++){
-      if (objs[j].fileData.name === data.name) {
-        debug.log('Found matching entity:', objs[j].fileData.name);
-        relatedData = objs[j].fileData;
-        // Drop this entity as we'll merge it
-        objs.splice(j, 1);
-        break;
-      }// if
+    // Blank lines around the code are removed, its indentation is kept
+    function trimLines(lines){
+      return lines.join('\n').replace(/^(\s*\n)+/, '').replace(/\s+$/, '');
     }
 
-    // Merge data
-    if (relatedData){
-      data.constants = data.constants.concat(relatedData.constants);
-      data.types = data.types.concat(relatedData.types);
-      data.variables = data.variables.concat(relatedData.variables);
-      data.exceptions = data.variables.concat(relatedData.exceptions);
+    lines.some(function(line, i){
+      if (pmd.EXAMPLE_RESULT_REGEXP.test(line)){
+        resultLine = i;
+        return true;
+      }
+    });
 
-      data.methods.forEach(function(myData){
-        relatedData.methods.forEach(function(myRelatedElement, j){
-          if (myData.name === myRelatedElement.name) {
-            debug.log('Deleting common method:', myData.name);
-            delete relatedData.methods[j];
-          }
-        });
-      })// data.forEach
+    if (resultLine === -1){
+      example.code = trimLines(lines);
+    }
+    else {
+      example.code = trimLines(lines.slice(0, resultLine));
+      example.result = trimLines(lines.slice(resultLine + 1));
+    }
 
-      //Merge methods
-      // Tried to use:
-      // data.methods = extend(true, {}, data.methods, relatedData.methods);
-      // But was merging them based on array position rather than merge
-      // Do a custom merge
-      relatedData.methods.forEach(function(method){
-        data.methods.push(method);
-      });
+    return example;
+  }// parseExample
 
-    }// relatedData
 
-    objs[i].fileData = data;
-  }); //objs.forEach
+  /**
+   * Merges the @param tags of a method with the parameters of its signature
+   * Warns about @param tags that aren't in the signature and parameters without a tag
+   *
+   * @param entity Method entity with params (from tags) and signature
+   * @param file File object, used for warnings
+   * @param line Line number of the method, used for warnings
+   * @return Array of params in signature order. Tags that don't match are appended
+   */
+  pmd.mergeParams = function(entity, file, line){
+    var
+      params = [],
+      tagParams = entity.params.slice()
+      ;
 
-  return objs;
-}// pmd.mergeObjs
+    entity.signature.params.forEach(function(sigParam){
+      var
+        tagParam,
+        param = extend({}, sigParam, {
+          description: '',
+          optional: sigParam.hasDefault
+        })
+        ;
 
+      for (var i = 0; i < tagParams.length; i++){
+        if (tagParams[i].name.toLowerCase() === sigParam.name.toLowerCase()){
+          tagParam = tagParams.splice(i, 1)[0];
+          break;
+        }
+      }
 
-/**
- * Saves data to files
- *
- * @param objs array of all data
- */
-pmd.saveToFile = function(config, objs){
-  // Finally print out data
-  objs.forEach(function(obj){
-	obj.fileData.files = pmd.globalFiles;
+      if (tagParam){
+        param.description = tagParam.description;
+        param.optional = tagParam.optional || sigParam.hasDefault;
+      }
+      else {
+        pmd.warn('Parameter ' + sigParam.name + ' of ' + entity.displayName + ' has no @param tag', file.path, line);
+      }
 
-    var markdown = obj.template(obj.fileData);
-    let docExtName = path.extname(obj.folder.template);
+      params.push(param);
+    });//entity.signature.params.forEach
 
-    if (debug.debug){
-      debug.logFile(obj.fileData.name + docExtName, markdown);
-    }
+    tagParams.forEach(function(tagParam){
+      pmd.warn('@param ' + tagParam.name + ' is not a parameter of ' + entity.displayName, file.path, line);
+      params.push(tagParam);
+    });
 
-    fs.writeFileSync(path.resolve(obj.folder.output.path,obj.fileData.name + docExtName), markdown);
-  });
-}//saveToFile
+    return params;
+  }// mergeParams
 
-/**
- * Generates Table of Conents (TOC)
- *
- * @issue 12: Original issue
- *
- * @params config
- * @params objs array of objs
- */
-pmd.generateToc = function(config, objs){
-  // #12 Generate Index file.
-  if (config.toc.template){
-    debug.log('\nCreated TOC');
+
+  /**
+   * Returns the arguments JSON objects
+   * Handles validation of the options. Invalid options throw a UsageError
+   * For backward compatibility the project and config can also be passed as positional arguments: node app <project> [config]
+   *
+   * @param process process object from calling function
+   * @return arguments JSON object
+   */
+  pmd.getArguments = function(process){
     var
-      indexData = {
-        files: [],
-        projectDispName: config.projectDispName
+      argv = process.argv.slice(2), // Array of arguments
+      positional = [],
+      arguments = {
+        project: undefined,
+        config: undefined,
+        allProjects: false,
+        out: undefined,
+        debug: false,
+        dryRun: false,
+        quiet: false,
+        check: false,
+        format: undefined,
+        threshold: undefined,
+        watch: false,
+        portal: undefined,
+        portalFile: undefined,
+        docVersion: undefined,
+        diff: undefined, // [old, new] source trees of the diff command
+        help: false,
+        version: false
       },
-      template,
-      templateContent,
-      markdown
+      formats
       ;
 
-    objs.forEach(function(obj){
-      var file = {};
-      let docExtName = path.extname(obj.folder.template);
+    for (var i = 0; i < argv.length; i++){
+      var
+        optionMatch = argv[i].match(/^--([\w-]+)(?:=(.*))?$/) || argv[i].match(/^-(h|v)()$/),
+        option,
+        value
+        ;
 
-      file.docFileName = obj.fileData.name + docExtName;
-      file.name = obj.fileData.name;
+      if (!optionMatch){
+        positional.push(argv[i]);
+        continue;
+      }
 
-      indexData.files.push(file);
-    })//objs.forEach
+      option = pmd.CLI_OPTIONS.filter(function(cliOption){
+        return cliOption.name === optionMatch[1] || cliOption.alias === optionMatch[1];
+      })[0];
 
-    // Sort based on names
-    // http://stackoverflow.com/questions/979256/sorting-an-array-of-javascript-objects
-    // Remove duplicates from array, as array was already sorted
-    // http://stackoverflow.com/questions/9229645/remove-duplicates-from-javascript-array
-    indexData.files.sort(function(a, b) {
-      return a.name.localeCompare(b.name);
-    }).filter(function(item, pos, ary) {
-        return !pos || item != ary[pos - 1];
-    });
+      if (!option){
+        throw new errors.UsageError('Unknown option: ' + argv[i] + '. Run with --help for the list of options');
+      }
+
+      if (option.value){
+        value = optionMatch[2] !== undefined ? optionMatch[2] : argv[++i];
+        if (value === undefined || value === '' || /^--/.test(value)){
+          throw new errors.UsageError('--' + option.name + ' requires a value: ' + option.value);
+        }
+      }
+      else {
+        value = true;
+      }
+
+      // Ex: all-projects => allProjects
+      arguments[option.name.replace(/-(\w)/g, function(match, letter){
+        return letter.toUpperCase();
+      })] = value;
+    }//for
+
+    // Ex: diff v1.2.0 HEAD
+    if (positional[0] === 'diff'){
+      if (positional.length !== 3){
+        throw new errors.UsageError('diff requires two source trees: diff <old> <new>');
+      }
+      arguments.diff = positional.slice(1);
+      positional = [];
+    }
 
-    templateContent = fs.readFileSync(path.resolve(config.toc.template),'utf8'),
-      template = Handlebars.compile(templateContent);
-    markdown = template(indexData);
+    if (positional.length > 2){
+      throw new errors.UsageError('Too many arguments: ' + positional.join(' '));
+    }
+    arguments.project = arguments.project || positional[0];
+    arguments.config = arguments.config || positional[1];
 
-    pmd.globalFiles = indexData.files;
+    if (arguments.threshold !== undefined){
+      arguments.threshold = Number(arguments.threshold);
+      if (isNaN(arguments.threshold)){
+        throw new errors.UsageError('--threshold must be a number');
+      }
+    }
+    formats = arguments.diff ? ['markdown', 'json'] : ['text', 'json'];
+    if (arguments.format !== undefined && formats.indexOf(arguments.format) === -1){
+      throw new errors.UsageError('--format must be ' + formats.join(' or '));
+    }
+    if (arguments.project && arguments.allProjects){
+      throw new errors.UsageError('--project and --all-projects can not be used together');
+    }
+    if ((arguments.portal || arguments.portalFile) && !arguments.allProjects){
+      throw new errors.UsageError('--portal requires --all-projects');
+    }
+    if (arguments.portalFile && !arguments.portal){
+      throw new errors.UsageError('--portal-file requires --portal');
+    }
+    if (arguments.portal && !arguments.out && !arguments.portalFile){
+      throw new errors.UsageError('--portal requires --out or --portal-file');
+    }
+
+    return arguments;
+  }//getArguments
+
+
+  /**
+   * Returns the help of the command line
+   *
+   * @return Help text
+   */
+  pmd.getHelp = function(){
+    var
+      lines = [
+        'Usage: plsql-md-doc [options]',
+        '       plsql-md-doc <project> [config]',
+        '       plsql-md-doc diff <old> <new> [--format markdown|json]',
+        '',
+        'Options:'
+      ],
+      names = pmd.CLI_OPTIONS.map(function(option){
+        return '--' + option.name + (option.value ? ' ' + option.value : '') + (option.alias ? ', -' + option.alias : '');
+      }),
+      width = Math.max.apply(null, names.map(function(name){
+        return name.length;
+      })) + 2
+      ;
+
+    pmd.CLI_OPTIONS.forEach(function(option, i){
+      lines.push('  ' + names[i] + new Array(width - names[i].length + 1).join(' ') + option.description);
+    });
+
+    lines.push('', 'Exit codes:');
+    Object.keys(pmd.EXIT_CODES).forEach(function(key){
+      lines.push('  ' + pmd.EXIT_CODES[key] + '  ' + pmd.EXIT_CODE_DESCRIPTIONS[key]);
+    });
+
+    return lines.join('\n');
+  }// getHelp
+
+
+  /**
+   * Finds the config file: the first of pmd.CONFIG_FILE_NAMES found in dirPath or its parents
+   * Defaults to the config.json of the tool (created at install)
+   *
+   * @param dirPath Folder to start from. Ex: process.cwd()
+   * @return Full path of the config file or null if none found
+   */
+  pmd.findConfig = function(dirPath){
+    var
+      defaultPath = path.resolve(__dirname, '../config.json'),
+      parentPath
+      ;
+
+    dirPath = path.resolve(dirPath);
+
+    while (true){
+      for (var i = 0; i < pmd.CONFIG_FILE_NAMES.length; i++){
+        var configPath = path.resolve(dirPath, pmd.CONFIG_FILE_NAMES[i]);
+
+        if (fs.existsSync(configPath) && fs.lstatSync(configPath).isFile()){
+          return configPath;
+        }
+      }
+
+      parentPath = path.dirname(dirPath);
+      if (parentPath === dirPath){
+        break;
+      }
+      dirPath = parentPath;
+    }//while
+
+    return fs.existsSync(defaultPath) ? defaultPath : null;
+  }// findConfig
+
+
+  /**
+   * Resolves the relative paths of a project config (before defaults are applied) against a folder
+   *
+   * @param config Project config
+   * @param basePath Folder of the config file
+   */
+  pmd.resolveConfigPaths = function(config, basePath){
+    function resolve(str){
+      return typeof str === 'string' && str.length > 0 ? path.resolve(basePath, str) : str;
+    }
+
+    [].concat(config.folders || []).forEach(function(folder){
+      if (folder.source){
+        folder.source.path = resolve(folder.source.path);
+      }
+      if (folder.output){
+        folder.output.path = resolve(folder.output.path);
+      }
+      folder.template = resolve(folder.template);
+      Object.keys(folder.templates || {}).forEach(function(kind){
+        folder.templates[kind] = resolve(folder.templates[kind]);
+      });
+    });
+
+    if (config.toc){
+      config.toc.template = resolve(config.toc.template);
+    }
+    if (config.issues){
+      config.issues.template = resolve(config.issues.template);
+    }
+    if (config.book){
+      config.book.template = resolve(config.book.template);
+    }
+    if (config.handlebars){
+      config.handlebars.partials = (config.handlebars.partials || []).map(resolve);
+      config.handlebars.helpers = (config.handlebars.helpers || []).map(resolve);
+    }
+    if (config.site){
+      config.site.assets = resolve(config.site.assets);
+    }
+    if (config.export){
+      config.export.path = resolve(config.export.path);
+      // Paths of the source files in the model are relative to the folder of the config file by default
+      config.export.basePath = resolve(config.export.basePath || '.');
+    }
+  }// resolveConfigPaths
+
+
+  /**
+   * Returns the config of a project with the defaults applied
+   * Validates the folders, templates, partials and helpers. A ConfigError is thrown if a path doesn't exist
+   *
+   * @param projectConfig Config of a project (as in the config file)
+   * @param options optional - {name: name of the project (default of projectDispName), basePath: folder that relative paths are relative to (default: current folder), out: output folder of all the folders, version: replaces config.version}
+   * @return Config JSON
+   */
+  pmd.prepareConfig = function(projectConfig, options){
+    var config;
+
+    options = options || {};
+
+    if (!projectConfig || typeof projectConfig !== 'object'){
+      throw new errors.ConfigError('Invalid config' + (options.name ? ' of project ' + options.name : '') + ': must be an object');
+    }
+
+    projectConfig = extend(true, {}, projectConfig);
+    pmd.resolveConfigPaths(projectConfig, options.basePath || process.cwd());
+
+    config = extend(true, {}, defaultConfig, projectConfig);
+    config.debug = config.debug || debug.debug;
+
+    debug.debug = config.debug;
+    debug.setup();
+
+    // only call debug from this point on
+
+    // #10
+    if (config.projectDispName.trim().length === 0){
+      config.projectDispName = options.name || '';
+    }
+
+    if (options.version !== undefined){
+      config.version = options.version;
+    }
+    config.version = String(config.version).trim();
+
+    // The version is a folder of the output folders
+    if (config.version && (!/^[\w.+-]+$/.test(config.version) || /^\.+$/.test(config.version) || config.version.toLowerCase() === pmd.LATEST_VERSION)){
+      throw new errors.ConfigError('Invalid version: ' + config.version + '. Use letters, digits, ".", "-", "+" and "_" (' + pmd.LATEST_VERSION + ' is reserved)');
+    }
+
+    debug.log('config: ', config);
+
+    // If only one folder (i.e. not an array), covert to array
+    if (!Array.isArray(config.folders)){
+      config.folders = [config.folders];
+    }
+
+    // Apply the default config to each element
+    config.folders = config.folders.map(function(folder){
+      folder = extend(true, {}, defaultConfigFolder, folder);
+
+      // Convert the regexp into a regexp object
+      if (folder.source.fileFilterRegexp.length > 0){
+        folder.source.fileFilterRegexp = new RegExp(folder.source.fileFilterRegexp, 'i');
+      }
+
+      // Check that template exists
+      pmd.validatePathRef(folder.template, 'template');
+      folder.templateContent = fs.readFileSync(path.resolve(folder.template),'utf8');
+
+      // Templates for specific object kinds (ex: table, trigger)
+      Object.keys(folder.templates).forEach(function(kind){
+        pmd.validatePathRef(folder.templates[kind], 'templates.' + kind);
+      });
+
+      // Check that the srcPath exists
+      pmd.validatePathRef(folder.source.path, 'folder.source.path');
+
+      if (options.out){
+        folder.output.path = path.resolve(options.out);
+      }
+
+      // Each version is written to its own subfolder. The manifest of the versions and the latest alias are in the output folder
+      folder.output.versionsPath = null;
+      if (config.version && folder.output.path){
+        folder.output.versionsPath = path.resolve(folder.output.path);
+        folder.output.path = path.resolve(folder.output.path, config.version);
+      }
+
+      return folder;
+    });// config.folders.map
+
+    if (config.toc.template){
+      pmd.validatePathRef(config.toc.template, 'config.toc.template');
+    }
+
+    if (pmd.DOC_PRECEDENCES.indexOf(config.merge.docPrecedence) === -1){
+      throw new errors.ConfigError('merge.docPrecedence must be one of: ' + pmd.DOC_PRECEDENCES.join(', '));
+    }
+
+    pmd.setTags(config.tags);
+    pmd.setLinks(config.issues, config.authors);
+
+    if (config.issues.template){
+      pmd.validatePathRef(config.issues.template, 'config.issues.template');
+    }
+
+    if (config.book.template){
+      pmd.validatePathRef(config.book.template, 'config.book.template');
+    }
+
+    if (config.site.assets){
+      pmd.validatePathRef(config.site.assets, 'site.assets');
+    }
+
+    config.handlebars.partials.forEach(function(partialPath){
+      pmd.validatePathRef(partialPath, 'handlebars.partials');
+    });
+    config.handlebars.helpers.forEach(function(helperPath){
+      pmd.validatePathRef(helperPath, 'handlebars.helpers');
+    });
+
+    return config;
+  }// prepareConfig
+
+
+  /**
+   * Registers the partials and helpers of a project. Must be called before compiling templates
+   * The bundled templates/partials folder is registered first so projects can override its partials
+   *
+   * @param config Config JSON
+   */
+  pmd.loadHandlebars = function(config){
+    if (loadedHandlebarsConfig === config.handlebars){
+      return;
+    }
+
+    Handlebars.registerPartialDir(path.resolve(__dirname, '../templates/partials'));
+
+    config.handlebars.partials.forEach(function(partialPath){
+      debug.log('Registering partials:', partialPath);
+      Handlebars.registerPartialDir(path.resolve(partialPath));
+    });
+
+    config.handlebars.helpers.forEach(function(helperPath){
+      debug.log('Registering helpers:', helperPath);
+      Handlebars.registerHelperModule(helperPath);
+    });
+
+    loadedHandlebarsConfig = config.handlebars;
+  }// loadHandlebars
+
+
+  pmd.readFolder = function(objs, config, folder) {
+    var
+      files     = fs.readdirSync(path.resolve(folder.source.path))
+      ;
+
+    pmd.loadHandlebars(config);
+
+    // Subfolders are kept relative to the root source folder for the site navigation
+    folder.source.rootPath = folder.source.rootPath || folder.source.path;
+
+    files.forEach(function (fileName) {
+      var stats = fs.lstatSync(folder.source.path + '/' + fileName);
+
+      if (stats.isDirectory()) {
+        // Clone the old folder object and create a new without the reference
+        var newFolder = JSON.parse(JSON.stringify(folder));
+
+        newFolder.source.path             += '/' + fileName;
+        newFolder.source.fileFilterRegexp = folder.source.fileFilterRegexp;
+
+        pmd.readFolder(objs, config, newFolder);
+      }
+    });
+
+    // Create and wipe debug folder
+    if (config.debug){
+      // Will create (if not exists) and wipe
+      fs.emptyDirSync(path.resolve(__dirname,'debug'));
+    }//config.debug
+
+    for (var i in files){
+      var obj = pmd.readFile(config, folder, files[i]);
+
+      if (obj){
+        objs.push(obj);
+      }
+    }// for i in files
+  }
+
+
+  /**
+   * Processes a file of a folder
+   *
+   * @param config Config JSON
+   * @param folder Folder of the file. folder.source.path is the directory of the file
+   * @param fileName Name of the file (without path)
+   * @return obj {fileData, template, folder, file} or null if the file is filtered out or skipped
+   */
+  pmd.readFile = function(config, folder, fileName){
+    var
+      file = {
+        ext: '',
+        name: '',
+        path: ''
+      },
+      data
+      ;
+
+    if (1==2 ||
+      (folder.source.fileFilterRegexp instanceof RegExp && folder.source.fileFilterRegexp.test(fileName)) ||
+      !folder.source.fileFilterRegexp instanceof RegExp){
+
+      let docExtName = path.extname(folder.template);
+      file.ext = path.extname(fileName);
+      file.name = path.basename(fileName, file.ext);
+      file.path = path.resolve(folder.source.path, fileName);
+      file.docFileName = file.name + docExtName;
+
+      data = pmd.buildData(file, config.projectDispName);
+
+      if (!data){
+        return null;
+      }
+
+      // Output JSON and md data
+      if (config.debug){
+        debug.logFile(file.name + file.ext + '.json', JSON.stringify(data, null, '  '));
+      }
+
+      return {
+        fileData: data,
+        template: pmd.getTemplate(folder, data.kind),
+        folder: folder,
+        file: file
+      };
+    }//if regexp pass or no regexp
+
+    return null;
+  }// readFile
+
+
+  /**
+   * Builds the data of a file (passed to the templates)
+   *
+   * @param file {name, path} and optional {content} (see processFile)
+   * @param projectDispName
+   * @return data or null if the file is skipped
+   */
+  pmd.buildData = function(file, projectDispName){
+    var
+      data = {
+        name: file.name,
+        types: [],
+        constants: [],
+        methods: [],
+        cursors: [], // Explicit cursors, with their query
+        refCursors: [], // Ref cursor types: {name, code, returnType, returnedBy...} (see linkCursors)
+        cursorFunctions: [], // Functions that return a ref cursor (see linkCursors)
+        variables: [],
+        files: [],
+        exceptions: [],
+        unmatchedTags: [],
+        kind: 'other',
+        attributes: [], // For object types
+        objectType: null,
+        table: null,
+        sequence: null,
+        trigger: null,
+        references: [], // Names referenced by the code (see linkDependencies)
+        projectDispName: projectDispName
+      },
+      entities = pmd.processFile(file)
+      ;
+
+    if (!entities){
+      return null;
+    }
+
+    // Load the data arrays with appropriate fields
+    entities.forEach(function(entity){
+      switch(entity.type){
+        case pmd.DOCTYPES.DATATYPES:
+          entity.types.forEach(function(type){
+            (type.isRefCursor ? data.refCursors : data.types).push(type);
+          });
+          break;
+        case pmd.DOCTYPES.FUNCTION:
+        case pmd.DOCTYPES.PROCEDURE:
+          data.methods.push(entity);
+          break;
+        case pmd.DOCTYPES.CURSOR:
+          data.cursors.push(entity);
+          break;
+        case pmd.DOCTYPES.CONSTANTS:
+          data.constants = data.constants.concat(entity.constants);
+          break;
+        case pmd.DOCTYPES.VARIABLES:
+          data.variables = data.variables.concat(entity.variables);
+          break;
+        case pmd.DOCTYPES.EXCEPTIONS:
+          data.exceptions = data.exceptions.concat(entity.exceptions);
+          break;
+        case undefined:
+          debug.log('\nFile:', file.path, "doesn't appear to have any JavaDoc in it. Skipping");
+          break;
+        case pmd.DOCTYPES.GLOBAL:
+          if(data.global == undefined) {
+            data.global = entity;
+
+            // Standalone procedures and functions are also listed as methods
+            if (entity.signature){
+              data.methods.push(extend({}, entity, {type: entity.kind}));
+            }
+          }
+          break;
+        default:
+          debug.log('entity', entity);
+          throw new errors.ProcessingError('Unknown type: ' + entity.type, {path: file.path});
+      }//switch
+
+      data.unmatchedTags = data.unmatchedTags.concat(entity.unmatchedTags);
+    });//entities.forEach
+
+    data.references = file.references;
+
+    if (file.object){
+      data.kind = file.object.kind;
+      data.objectType = file.object.objectType || null;
+      data.attributes = data.objectType && data.objectType.kind === 'object' ? data.objectType.attributes : [];
+      data.table = file.object.table || null;
+      data.sequence = file.object.sequence || null;
+      data.trigger = file.object.trigger || null;
+
+      // Standalone procedures and functions
+      if (file.object.signature){
+        data.header = file.object.header;
+        data.signature = file.object.signature;
+      }
+    }
+
+    return data;
+  }// buildData
+
+
+  /**
+   * Parses the source of a file
+   *
+   * @param source PL/SQL source
+   * @param options optional - {fileName: used for the name of the object and in the warnings, name: name of the object (default: name of the file or of the object in the source), projectDispName, tags: custom tags (see setTags)}
+   * @return data (as passed to the templates) or null if the source has nothing to document
+   */
+  pmd.parse = function(source, options){
+    var
+      fileName,
+      file,
+      data
+      ;
+
+    options = options || {};
+
+    if (typeof source !== 'string'){
+      throw new errors.ProcessingError('The source must be a string');
+    }
+
+    if (options.tags){
+      pmd.setTags(options.tags);
+    }
+
+    fileName = options.fileName || '';
+    file = {
+      ext: path.extname(fileName),
+      name: options.name || path.basename(fileName, path.extname(fileName)),
+      path: fileName,
+      content: source
+    };
+
+    data = pmd.buildData(file, options.projectDispName || '');
+
+    if (data && !data.name && file.object){
+      data.name = file.object.name.toLowerCase();
+    }
+
+    if (data){
+      pmd.groupOverloads(data);
+    }
+
+    return data;
+  }// parse
+
+
+  /**
+   * Returns the compiled template for an object kind
+   * Order: folder.templates[kind], the default template for the kind (if any) then folder.template
+   *
+   * @param folder
+   * @param kind Object kind. Ex: package, table
+   * @return Compiled Handlebars template
+   */
+  pmd.getTemplate = function(folder, kind){
+    var
+      templatePath = folder.templates && folder.templates[kind],
+      defaultPath
+      ;
+
+    if (!templatePath && pmd.TEMPLATE_KINDS.indexOf(kind) !== -1){
+      defaultPath = path.resolve(__dirname, '../templates', kind + path.extname(folder.template));
+
+      if (fs.existsSync(defaultPath)){
+        templatePath = defaultPath;
+      }
+    }
+    templatePath = path.resolve(templatePath || folder.template);
+
+    folder.compiledTemplates = folder.compiledTemplates || {};
+    if (!folder.compiledTemplates[templatePath]){
+      folder.compiledTemplates[templatePath] = Handlebars.compile(fs.readFileSync(templatePath, 'utf8'));
+    }
+
+    return folder.compiledTemplates[templatePath];
+  }// getTemplate
+
+
+  /**
+   * Generates the data based on the files
+   *
+   * @param config Config JSON
+   * @return objs array
+   */
+  pmd.generateData = function(config){
+    var objs = [];
+    var indexData = [];
+
+    config.folders.forEach(function(folder){
+      pmd.readFolder(objs, config, folder);
+    }); //config.folders.forEach
+
+    // make the indexData available to all files
+    // remove duplicates from indexData
+    objs.forEach(function(obj){
+      obj.fileData.files = indexData.filter(function(item, pos, ary) {
+                                              return !pos || item.name != ary[pos - 1].name;
+                                          });
+    }); // objs.forEach
+
+    return objs;
+  }//pmd.generateData
+
+
+  /**
+   * Generates the documentation of the objects
+   * Merges the spec and body files, resolves the links, then writes the site files, the TOC and the files
+   *
+   * @param config Config JSON (see prepareConfig)
+   * @param objs Objects of generateData
+   * @return Merged objs
+   */
+  pmd.generateDocs = function(config, objs){
+    config.folders.forEach(function(folder){
+      // Check if output path is defined
+      if (folder.output.path.length == 0){
+        throw new errors.ConfigError('folder.output.path is required');
+      }
+
+      if (!pmd.dryRun){
+        // Create outputPath if doesn't exist
+        fs.ensureDirSync(path.resolve(folder.output.path));
+
+        // #11 Delete if told to
+        if (folder.output.delete){
+          fs.emptydirSync(path.resolve(folder.output.path));
+        }
+      }
+    });// config.folders.forEach
+
+    objs = pmd.mergeObjs(objs, config);
+    pmd.setAnchors(objs);
+    pmd.resolveLinks(objs);
+    pmd.linkIssues(objs);
+    pmd.linkCursors(objs);
+    pmd.linkDependencies(objs);
+    pmd.linkObjectTypes(objs);
+    objs.forEach(function(obj){
+      pmd.groupOverloads(obj.fileData);
+    });
+
+    // The versions and the site data (navigation and search index) must be available before the files are generated
+    pmd.generateVersions(config);
+    pmd.generateSite(config, objs);
+
+    // First generate the TOC than the files, so the packages also have a TOC
+    pmd.generateToc(config, objs);
+    pmd.generateIssues(config, objs);
+    pmd.saveToFile(config, objs);
+    pmd.generateBook(config, objs);
+    pmd.exportModel(config, objs);
+    pmd.updateLatestVersion(config);
+
+    return objs;
+  }// generateDocs
+
+
+  /**
+   * Compares two versions. Numbers are compared by value. Ex: 1.10.0 > 1.9.2
+   *
+   * @param version1
+   * @param version2
+   * @return Negative if version1 is older than version2, positive if newer, 0 if equal
+   */
+  pmd.compareVersions = function(version1, version2){
+    return version1.localeCompare(version2, 'en', {numeric: true, sensitivity: 'base'});
+  }// compareVersions
+
+
+  /**
+   * Adds the version of the project to the manifest of the versions (see VERSIONS_FILE_NAME) of each output folder
+   * Also sets pmd.versions (versions of the first folder) so they're available to all the templates
+   *
+   * @param config Config JSON. Nothing is done when config.version is not set
+   */
+  pmd.generateVersions = function(config){
+    if (!config.version){
+      return;
+    }
+
+    config.folders.forEach(function(folder, i){
+      var
+        manifestPath = path.resolve(folder.output.versionsPath, pmd.VERSIONS_FILE_NAME),
+        manifest = {
+          latest: null,
+          versions: []
+        }
+        ;
+
+      if (fs.existsSync(manifestPath)){
+        try {
+          manifest = fs.readJsonSync(manifestPath);
+        }
+        catch (e){
+          throw new errors.ConfigError('Can not read ' + manifestPath + ': ' + e.message, {path: manifestPath});
+        }
+      }
+
+      manifest.versions = (manifest.versions || []).filter(function(version){
+        return version.version !== config.version;
+      }).concat({
+        version: config.version,
+        path: config.version + '/'
+      }).sort(function(a, b){
+        return pmd.compareVersions(b.version, a.version);
+      });
+      manifest.latest = manifest.versions[0].version;
+
+      pmd.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+      folder.output.isLatest = manifest.latest === config.version;
+
+      if (i === 0){
+        // URLs are relative to the output folder of the version. The TOC is the home page of each version
+        pmd.versions = manifest.versions.map(function(version){
+          return {
+            version: version.version,
+            url: '../' + version.path + (config.toc.template ? config.toc.fileName : ''),
+            current: version.version === config.version,
+            latest: version.version === manifest.latest
+          };
+        });
+      }
+    });// config.folders.forEach
+  }// generateVersions
+
+
+  /**
+   * Copies the output of the version to the latest alias (see LATEST_VERSION) of the folders where it's the newest version of the manifest
+   * The alias is replaced, so it's the same as the folder of the version
+   *
+   * @param config Config JSON (see generateVersions)
+   */
+  pmd.updateLatestVersion = function(config){
+    if (!config.version){
+      return;
+    }
+
+    config.folders.forEach(function(folder){
+      var latestPath = path.resolve(folder.output.versionsPath, pmd.LATEST_VERSION);
+
+      if (!folder.output.isLatest){
+        return;
+      }
+      if (pmd.dryRun){
+        pmd.log('Would copy: ' + path.resolve(folder.output.path) + ' to ' + latestPath);
+        return;
+      }
+      fs.emptyDirSync(latestPath);
+      fs.copySync(path.resolve(folder.output.path), latestPath);
+    });
+  }// updateLatestVersion
+
+
+  /**
+   * Merges the specification and the body of the objects (files of the same folder of the config with the same name. Ex pks and pkb)
+   * The merged object is the one of the specification, whatever the order of the files
+   * Routines are matched by signature, so overloads are merged with their own declaration. Routines that are only in the body are private
+   * A routine of the body with the name of a declaration of the specification but another signature raises a warning
+   *
+   * @param objs Array of all the objects
+   * @param config Config JSON. config.merge.docPrecedence: see DOC_PRECEDENCES
+   * @return Merged array
+   */
+  pmd.mergeObjs = function(objs, config){
+    function isBody(obj){
+      return !!(obj.file.object && obj.file.object.isBody);
+    }
+
+    // A specification and a body of the same folder of the config. Ex: two folders of the config that read the same files output two objects
+    // With output.keepFolders, only the files of the same subfolder are merged. Ex: a/util.pks and b/util.pkb are two objects
+    function isPair(obj1, obj2){
+      if (obj1.fileData.name !== obj2.fileData.name || obj1.folder !== obj2.folder || isBody(obj1) === isBody(obj2)){
+        return false;
+      }
+      return !obj1.folder.output.keepFolders || pmd.getDocFileName(obj1) === pmd.getDocFileName(obj2);
+    }
+
+    objs.forEach(function(obj, i){
+      //Seach for a matching element
+      var
+        spec = obj,
+        body
+        ;
+
+      // Loop over array but starting at next element
+      for (var j = i+1; j < objs.length; j++){
+        if (isPair(objs[j], obj)) {
+          debug.log('Found matching entity:', objs[j].fileData.name);
+          body = objs[j];
+          // Drop this entity as we'll merge it
+          objs.splice(j, 1);
+          break;
+        }// if
+      }
+
+      if (!body){
+        return;
+      }
+
+      if (isBody(spec) && !isBody(body)){
+        spec = body;
+        body = obj;
+      }
+
+      pmd.mergeSpecBody(spec, body, config.merge.docPrecedence);
+      objs[i] = spec;
+    }); //objs.forEach
+
+    return objs;
+  }// pmd.mergeObjs
+
+
+  /**
+   * Merges the data of a body into the data of its specification
+   *
+   * @param spec Object of the specification (see readFile). Changed
+   * @param body Object of the body
+   * @param precedence See DOC_PRECEDENCES
+   */
+  pmd.mergeSpecBody = function(spec, body, precedence){
+    var
+      data = spec.fileData,
+      bodyData = body.fileData,
+      specCursors = data.cursors.slice(), // Cursors of the specification that a cursor of the body hasn't been matched with yet
+      routines // Routines declared in the specification: {name, signature, file, line, method: documented method of the specification, matched: a method of the body has been matched}
+      ;
+
+    // Ex: get_name(p_id in number) return varchar2
+    function signatureKey(name, signature){
+      return (name.replace(/"/g, '') + '(' + signature.params.map(function(param){
+        return param.name + ' ' + param.mode + ' ' + param.dataType;
+      }).join(', ') + ')' + (signature.return ? ' return ' + signature.return.dataType : '')).replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    // Returns the first routine with the name of the method that isn't matched yet. exact: with the same signature
+    function findRoutine(method, property, exact){
+      var key = signatureKey(method.displayName, method.signature);
+
+      return routines.filter(function(routine){
+        return !routine[property] && (exact ? signatureKey(routine.name, routine.signature) === key : routine.name.replace(/"/g, '').toLowerCase() === method.displayName.replace(/"/g, '').toLowerCase());
+      })[0];
+    }
+
+    data.constants = data.constants.concat(bodyData.constants);
+    data.types = data.types.concat(bodyData.types);
+    data.refCursors = data.refCursors.concat(bodyData.refCursors);
+    data.variables = data.variables.concat(bodyData.variables);
+    data.exceptions = data.exceptions.concat(bodyData.exceptions);
+    data.references = data.references.concat(bodyData.references);
+
+    // Object type details are only in the type specification
+    if (!data.objectType && bodyData.objectType){
+      data.objectType = bodyData.objectType;
+      data.attributes = bodyData.attributes;
+    }
+
+    if (!data.global){
+      data.global = bodyData.global;
+    }
+    else if (bodyData.global){
+      pmd.mergeDoc(data.global, bodyData.global, precedence);
+    }
+
+    // Cursors are matched by name (see below)
+    routines = spec.file.declarations.filter(function(declaration){
+      return declaration.signature && declaration.type !== pmd.DOCTYPES.CURSOR;
+    }).map(function(declaration){
+      return {
+        name: declaration.name,
+        signature: declaration.signature,
+        file: spec.file.path,
+        line: declaration.line,
+        method: null,
+        matched: false
+      };
+    });
+
+    data.methods.forEach(function(method){
+      var routine = method.signature && (findRoutine(method, 'method', true) || findRoutine(method, 'method', false));
+
+      if (routine){
+        routine.method = method;
+      }
+      // Ex: the specification of a standalone function
+      else if (method.signature){
+        routines.push({
+          name: method.displayName,
+          signature: method.signature,
+          file: method.file,
+          line: method.line,
+          method: method,
+          matched: false
+        });
+      }
+    });//data.methods.forEach
+
+    bodyData.methods.forEach(function(method){
+      var routine = method.signature && (findRoutine(method, 'matched', true) || findRoutine(method, 'matched', false));
+
+      if (!routine){
+        debug.log('Private method:', method.name);
+        method.isPrivate = true;
+        data.methods.push(method);
+        return;
+      }
+
+      routine.matched = true;
+
+      if (signatureKey(method.displayName, method.signature) !== signatureKey(routine.name, routine.signature)){
+        pmd.warn('Signature of ' + method.displayName + ' does not match its declaration in ' + path.basename(routine.file) + ':' + routine.line, method.file, method.line);
+      }
+
+      if (routine.method){
+        debug.log('Merging common method:', method.name);
+        pmd.mergeDoc(routine.method, method, precedence);
+      }
+      else {
+        // Documented in the body only
+        data.methods.push(method);
+      }
+    });//bodyData.methods.forEach
+
+    // The query of a cursor is often only in the body. Ex: cursor c_emp return emp%rowtype; in the specification
+    bodyData.cursors.forEach(function(cursor){
+      var
+        name = cursor.displayName.replace(/"/g, '').toLowerCase(),
+        specCursor = specCursors.filter(function(specCursor){
+          return specCursor.displayName.replace(/"/g, '').toLowerCase() === name;
+        })[0]
+        ;
+
+      if (specCursor){
+        debug.log('Merging common cursor:', cursor.name);
+        specCursors.splice(specCursors.indexOf(specCursor), 1);
+        pmd.mergeDoc(specCursor, cursor, precedence);
+        specCursor.query = specCursor.query || cursor.query;
+        return;
+      }
+
+      // Documented in the body only
+      if (!spec.file.declarations.some(function(declaration){
+        return declaration.type === pmd.DOCTYPES.CURSOR && declaration.name.replace(/"/g, '').toLowerCase() === name;
+      })){
+        debug.log('Private cursor:', cursor.name);
+        cursor.isPrivate = true;
+      }
+      data.cursors.push(cursor);
+    });//bodyData.cursors.forEach
+
+    // Cursors of the body without JavaDoc: the query is taken from their declaration
+    specCursors.forEach(function(specCursor){
+      var
+        name = specCursor.displayName.replace(/"/g, '').toLowerCase(),
+        declaration = body.file.declarations.filter(function(declaration){
+          return declaration.type === pmd.DOCTYPES.CURSOR && declaration.name.replace(/"/g, '').toLowerCase() === name;
+        })[0]
+        ;
+
+      if (declaration && !specCursor.query){
+        specCursor.query = declaration.query;
+      }
+    });//specCursors.forEach
+  }// mergeSpecBody
+
+
+  /**
+   * Merges the documentation of an entity of the body into the one of the specification (see processFile)
+   * Empty tags are completed with the other entity whatever the precedence
+   *
+   * @param spec Entity of the specification. Changed
+   * @param body Entity of the body
+   * @param precedence See DOC_PRECEDENCES
+   */
+  pmd.mergeDoc = function(spec, body, precedence){
+    // Separators of the texts for the concat precedence
+    var separators = {
+      author: ', ',
+      created: ', ',
+      return: ' '
+    };
+
+    function isEmpty(value){
+      if (value && typeof value === 'object'){
+        // Descriptions parsed by dox: {full, summary, body}
+        return Array.isArray(value) ? value.length === 0 : 'full' in value && !value.full;
+      }
+      return !value;
+    }
+
+    // Tags with a single value (Ex: @deprecated) are not concatenated: the specification is kept
+    function pick(specValue, bodyValue){
+      if (isEmpty(specValue) || isEmpty(bodyValue)){
+        return isEmpty(specValue) ? bodyValue : specValue;
+      }
+      return precedence === 'body' ? bodyValue : specValue;
+    }
+
+    function merge(specValue, bodyValue, separator){
+      if (isEmpty(specValue) || isEmpty(bodyValue)){
+        return isEmpty(specValue) ? bodyValue : specValue;
+      }
+      else if (precedence !== 'concat'){
+        return precedence === 'body' ? bodyValue : specValue;
+      }
+      else if (Array.isArray(specValue)){
+        return specValue.concat(bodyValue);
+      }
+      // Descriptions parsed by dox: the summary is the one of the specification
+      else if (typeof specValue === 'object'){
+        return extend({}, specValue, {
+          full: specValue.full + '\n\n' + bodyValue.full,
+          body: specValue.body + '\n\n' + bodyValue.full
+        });
+      }
+      return specValue + separator + bodyValue;
+    }
+
+    spec.description = merge(spec.description, body.description);
+    Object.keys(separators).forEach(function(tag){
+      spec[tag] = merge(spec[tag], body[tag], separators[tag]);
+    });
+    ['issues', 'see', 'throws', 'todos', 'examples'].forEach(function(tag){
+      spec[tag] = merge(spec[tag], body[tag]);
+    });
+    spec.example = spec.examples && spec.examples.length ? spec.examples[0].code : '';
+    ['deprecated', 'since', 'group'].forEach(function(tag){
+      spec[tag] = pick(spec[tag], body[tag]);
+    });
+
+    spec.tags = extend({}, body.tags, spec.tags);
+    Object.keys(spec.tags).forEach(function(name){
+      var
+        specValue = spec.tags[name],
+        bodyValue = (body.tags || {})[name]
+        ;
+
+      spec.tags[name] = Array.isArray(specValue) ? merge(specValue, bodyValue || []) : pick(specValue, bodyValue);
+    });
+
+    (spec.params || []).forEach(function(param){
+      (body.params || []).forEach(function(bodyParam){
+        if (bodyParam.name.toLowerCase() === param.name.toLowerCase()){
+          param.description = merge(param.description, bodyParam.description, ' ');
+        }
+      });
+    });
+  }// mergeDoc
+
+
+  /**
+   * Links the supertype and collection element type of object types to their documentation file
+   *
+   * @param objs array of all data
+   */
+  pmd.linkObjectTypes = function(objs){
+    var docFileNames = {};
+
+    objs.forEach(function(obj){
+      docFileNames[obj.fileData.name.toLowerCase()] = pmd.getDocFileName(obj);
+    });
+
+    objs.forEach(function(obj){
+      var objectType = obj.fileData.objectType;
+
+      // Relative to the documentation file of the object
+      function link(name){
+        var docFileName = docFileNames[name.toLowerCase()];
+
+        return docFileName ? pmd.relativeUrl(pmd.getDocFileName(obj), docFileName) : undefined;
+      }
+
+      if (objectType){
+        if (objectType.supertype){
+          objectType.supertype.docFileName = link(objectType.supertype.name);
+        }
+        if (objectType.elementType){
+          objectType.elementType.docFileName = link(objectType.elementType.dataType);
+        }
+      }
+    });//objs.forEach
+  }// linkObjectTypes
+
+
+  /**
+   * Returns the path of the documentation file of an object, relative to the output folder
+   * With folder.output.keepFolders, the file is in the same subfolder as the source file. Ex: packages/util/my_pkg.md
+   *
+   * @param obj
+   * @return Path with "/" separators. Ex: my_pkg.md
+   */
+  pmd.getDocFileName = function(obj){
+    var relPath = obj.folder.output.keepFolders ? path.relative(obj.folder.source.rootPath || obj.folder.source.path, obj.folder.source.path) : '';
+
+    return path.posix.join(relPath.split(path.sep).join('/'), obj.fileData.name + path.extname(obj.folder.template));
+  }// getDocFileName
+
+
+  /**
+   * Returns the path from a documentation file to the output folder
+   *
+   * @param docFileName See getDocFileName
+   * @return Ex: "" for my_pkg.md, "../../" for packages/util/my_pkg.md
+   */
+  pmd.getRootPath = function(docFileName){
+    return '../'.repeat(docFileName.split('/').length - 1);
+  }// getRootPath
+
+
+  /**
+   * Converts a URL relative to the output folder to a URL relative to a documentation file
+   *
+   * @param fromDocFileName Documentation file that contains the link (see getDocFileName)
+   * @param url Relative to the output folder. Ex: packages/my_pkg.md#get_name
+   * @return Ex: ../packages/my_pkg.md#get_name
+   */
+  pmd.relativeUrl = function(fromDocFileName, url){
+    var pos = url.indexOf('#');
+
+    if (pos === -1){
+      pos = url.length;
+    }
+    return path.posix.relative(path.posix.dirname(fromDocFileName), url.slice(0, pos)) + url.slice(pos);
+  }// relativeUrl
+
+
+  /**
+   * Sets a stable anchor (HTML id) on the documented members of each object
+   * Methods use their name, which is unique within the object. Other members (cursors included) are prefixed with their kind
+   * Ex: is_developer, constant-gc_max_rows, cursor-c_emp
+   *
+   * @param objs array of all data
+   */
+  pmd.setAnchors = function(objs){
+    objs.forEach(function(obj){
+      var
+        data = obj.fileData,
+        // Not object literals: methods can be named constructor, toString...
+        counts = Object.create(null), // Number of methods of each name
+        anchors = Object.create(null)
+        ;
+
+      data.methods.forEach(function(method){
+        var name = method.name.toLowerCase();
+
+        counts[name] = (counts[name] || 0) + 1;
+      });
+
+      // The name alone is the anchor of the group of overloads (see groupOverloads). Ex: the overload without parameters is get_name2
+      Object.keys(counts).forEach(function(name){
+        if (counts[name] > 1){
+          anchors[pmd.toAnchor(name)] = true;
+        }
+      });
+
+      // The anchor of an overload is built from the types of its parameters so that it doesn't change when another overload is added
+      data.methods.forEach(function(method){
+        var
+          anchor = counts[method.name.toLowerCase()] > 1 ? pmd.toOverloadAnchor(method) : pmd.toAnchor(method.name),
+          cnt = 2
+          ;
+
+        // Overloads with the same types. Ex: different names or modes
+        method.anchor = anchor;
+        while (anchors[method.anchor]){
+          method.anchor = anchor + cnt++;
+        }
+        anchors[method.anchor] = true;
+      });
+
+      // Ref cursor types keep the anchor of the types
+      [
+        ['cursor', data.cursors],
+        ['type', data.types],
+        ['type', data.refCursors],
+        ['constant', data.constants],
+        ['variable', data.variables],
+        ['exception', data.exceptions],
+        ['attribute', data.attributes]
+      ].forEach(function(members){
+        members[1].forEach(function(member){
+          member.anchor = pmd.toAnchor(members[0] + '-' + member.name);
+        });
+      });
+    });//objs.forEach
+  }// setAnchors
+
+
+  /**
+   * Converts a name to an anchor
+   *
+   * @param name
+   * @return Lower case name with only letters, digits, "_" and "-"
+   */
+  pmd.toAnchor = function(name){
+    return name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+  }// toAnchor
+
+
+  /**
+   * Returns the anchor of an overloaded method: its name followed by the types of its parameters
+   *
+   * @param method
+   * @return Ex: get_name-number-varchar2 for get_name(p_id in number, p_code in varchar2), get_name-varchar2-30 for get_name(p_code varchar2(30)), get_name without parameters (see setAnchors)
+   */
+  pmd.toOverloadAnchor = function(method){
+    return pmd.toAnchor([method.name].concat(pmd.getParamTypes(method)).join('-')).replace(/-{2,}/g, '-').replace(/-$/, '');
+  }// toOverloadAnchor
+
+
+  /**
+   * @param method
+   * @return Data types of the parameters of the signature of a method. Ex: ['number', 'varchar2']
+   */
+  pmd.getParamTypes = function(method){
+    return (method.signature ? method.signature.params : []).map(function(param){
+      return param.dataType;
+    });
+  }// getParamTypes
+
+
+  /**
+   * Groups the overloads of the methods of an object: data.methods has one element for each name
+   * Each element has the attributes of its first overload (so that methods without overload are unchanged) and:
+   *  overloads: Array of the signatures, each with its own params, return, description, anchor (see setAnchors) and paramTypes (Ex: "number, varchar2")
+   *  isOverloaded: true if there are several signatures
+   *  anchor: anchor of the name for overloaded methods
+   *  isPrivate: true if all the overloads are private
+   * The methods are also grouped by @group in data.groups: [{name, methods}], in the order of their first method. Methods without @group are in the first group, without name
+   * Must be called after resolveLinks
+   *
+   * @param data Data of an object
+   */
+  pmd.groupOverloads = function(data){
+    var
+      groups = [],
+      // Not object literals: methods (and groups) can be named constructor, toString...
+      overloads = Object.create(null), // Overloads of each (lower case) name
+      sections = Object.create(null) // Methods of each @group
+      ;
+
+    data.methods.forEach(function(method){
+      var name = method.name.toLowerCase();
+
+      method.paramTypes = pmd.getParamTypes(method).join(', ');
+
+      if (!overloads[name]){
+        overloads[name] = [];
+        groups.push(overloads[name]);
+      }
+      overloads[name].push(method);
+    });
+
+    data.methods = groups.map(function(methods){
+      var isOverloaded = methods.length > 1;
+
+      return extend({}, methods[0], {
+        overloads: methods,
+        isOverloaded: isOverloaded,
+        anchor: isOverloaded ? pmd.toAnchor(methods[0].name) : methods[0].anchor,
+        isPrivate: methods.every(function(method){
+          return method.isPrivate;
+        })
+      });
+    });
+
+    data.groups = [];
+    data.methods.forEach(function(method){
+      var name = method.group || '';
+
+      if (!sections[name]){
+        sections[name] = {
+          name: name,
+          methods: []
+        };
+        data.groups[name ? 'push' : 'unshift'](sections[name]);
+      }
+      sections[name].methods.push(method);
+    });
+  }// groupOverloads
+
+
+  /**
+   * Checks the documentation of each file (see --check). Body files are not checked
+   * Each file is checked for:
+   *  - JavaDoc for the object and each declaration of the specification
+   *  - Description of public methods and cursors
+   *  - Description of parameters
+   *  - @return for functions
+   * @constant, @var, @type and @exception tags that don't match any declaration are reported but not counted in the coverage
+   *
+   * @param objs array of all data, before merge (see generateData)
+   * @param threshold Minimum coverage (percent) of the project
+   * @return Report: {coverage, threshold, passed, files: [{file, name, checks, documented, coverage, findings: [{line, type, message}]}]}
+   */
+  pmd.checkDocs = function(objs, threshold){
+    var
+      report = {
+        coverage: 100,
+        threshold: threshold,
+        passed: true,
+        files: []
+      },
+      checks = 0,
+      documented = 0
+      ;
+
+    objs.forEach(function(obj){
+      var
+        data = obj.fileData,
+        object = obj.file.object,
+        fileReport = {
+          file: obj.file.path,
+          name: data.name,
+          checks: 0,
+          documented: 0,
+          coverage: 100,
+          findings: []
+        },
+        documentedNames = {} // Number of documented declarations for each "<type> <name>" (overloads have the same name)
+        ;
+
+      if (object && object.isBody){
+        return;
+      }
+
+      function check(isDocumented, line, type, message){
+        fileReport.checks++;
+        if (isDocumented){
+          fileReport.documented++;
+        }
+        else {
+          fileReport.findings.push({
+            line: line,
+            type: type,
+            message: message
+          });
+        }
+      }
+
+      check(data.global, 1, 'undocumented', initCap(data.kind) + ' ' + data.name + ' has no JavaDoc');
+
+      data.methods.concat(data.cursors).forEach(function(method){
+        var key = (method.type === pmd.DOCTYPES.CURSOR ? 'cursor ' : 'method ') + (method.displayName || method.name).toLowerCase();
+
+        documentedNames[key] = (documentedNames[key] || 0) + 1;
+
+        if (method.isPrivate){
+          return;
+        }
+
+        check(method.description && method.description.full, method.line, 'missing-description', initCap(method.type) + ' ' + method.displayName + ' has no description');
+
+        method.params.forEach(function(param){
+          check(param.description, method.line, 'missing-param', 'Parameter ' + param.name + ' of ' + method.displayName + ' is not documented');
+        });
+
+        if (method.type === pmd.DOCTYPES.FUNCTION){
+          check(method.return, method.line, 'missing-return', 'Function ' + method.displayName + ' has no @return');
+        }
+      });//data.methods.forEach
+
+      [['constant', data.constants], ['type', data.types], ['type', data.refCursors], ['exception', data.exceptions]].forEach(function(members){
+        members[1].forEach(function(member){
+          var key = members[0] + ' ' + member.name.toLowerCase();
+
+          // Listed without a tag. Ex: an undocumented constant after the documented ones
+          if (member.description){
+            documentedNames[key] = (documentedNames[key] || 0) + 1;
+          }
+        });
+      });
+
+      // Declarations of the specification without JavaDoc
+      if (object && (object.kind === 'package' || object.kind === 'type')){
+        obj.file.declarations.forEach(function(declaration){
+          var key = (declaration.type === 'procedure' || declaration.type === 'function' ? 'method' : declaration.type) + ' ' + declaration.name.replace(/"/g, '').toLowerCase();
+
+          check(documentedNames[key] > 0, declaration.line, 'undocumented', initCap(declaration.type) + ' ' + declaration.name + ' has no JavaDoc');
+          documentedNames[key] = (documentedNames[key] || 0) - 1;
+        });
+      }
+
+      data.unmatchedTags.forEach(function(tag){
+        fileReport.findings.push({
+          line: tag.line,
+          type: 'unmatched-tag',
+          message: '@' + tag.tag + ' ' + tag.name + ' does not match any declaration'
+        });
+      });
+
+      fileReport.findings.sort(function(a, b){
+        return a.line - b.line;
+      });
+      fileReport.coverage = pmd.toPercent(fileReport.documented, fileReport.checks);
+
+      checks += fileReport.checks;
+      documented += fileReport.documented;
+      report.files.push(fileReport);
+    });//objs.forEach
+
+    report.coverage = pmd.toPercent(documented, checks);
+    report.passed = report.coverage >= threshold;
+
+    return report;
+  }// checkDocs
+
+
+  /**
+   * @param count
+   * @param total
+   * @return Percentage with one decimal. 100 if total is 0
+   */
+  pmd.toPercent = function(count, total){
+    return total ? Math.floor(count / total * 1000) / 10 : 100;
+  }// toPercent
+
+
+  /**
+   * Formats the report of checkDocs
+   *
+   * @param report
+   * @param format text or json
+   * @return Formatted report
+   */
+  pmd.formatCheckReport = function(report, format){
+    var lines = [];
+
+    if (format === 'json'){
+      return JSON.stringify(report, null, 2);
+    }
+
+    report.files.forEach(function(file){
+      lines.push(file.file + ' ' + file.coverage + '% (' + file.documented + '/' + file.checks + ')');
+      file.findings.forEach(function(finding){
+        lines.push('  ' + finding.line + ': ' + finding.message + ' [' + finding.type + ']');
+      });
+    });
+
+    lines.push('');
+    lines.push('Coverage: ' + report.coverage + '% (threshold: ' + report.threshold + '%) ' + (report.passed ? 'passed' : 'failed'));
+
+    return lines.join('\n');
+  }// formatCheckReport
+
+
+  /**
+   * Resolves the references of {@link} (inline) and @see tags to links to the output file and anchor of the referenced object
+   * References can be: object, object.member or member (of the current object or, if unique, of any object)
+   * Unresolved references are reported as warnings and rendered as plain text
+   * Must be called after setAnchors
+   *
+   * @param objs array of all data
+   * @param linkObjs optional - Objects to resolve the references of (Ex: the files that changed in watch mode). Default: objs
+   */
+  pmd.resolveLinks = function(objs, linkObjs){
+    var
+      targets = Object.create(null), // Objects (lower case name): [{name, url, members: {<lower case name>: url}}]. Objects of different folders can have the same name (see output.keepFolders). Not an object literal: referenced names can be anything. Ex: constructor
+      warned = {} // A reference is often in both the full description and its summary. Only warn once
+      ;
+
+    function warn(msg, location){
+      var key = location.file + ':' + location.line + ' ' + msg;
+
+      if (!warned[key]){
+        warned[key] = true;
+        pmd.warn(msg, location.file, location.line);
+      }
+    }
+
+    objs.forEach(function(obj){
+      var
+        data = obj.fileData,
+        docFileName = pmd.getDocFileName(obj),
+        target = {
+          name: data.name,
+          url: docFileName,
+          members: Object.create(null)
+        }
+        ;
+
+      [data.methods, data.cursors, data.constants, data.types, data.refCursors, data.variables, data.exceptions, data.attributes].forEach(function(members){
+        members.forEach(function(member){
+          var name = (member.displayName || member.name).toLowerCase();
+
+          // Methods link to the group of their overloads (see groupOverloads). Each overload can also be referenced with the types of its parameters. Ex: get_name(number)
+          if (members === data.methods){
+            target.members[name] = docFileName + '#' + pmd.toAnchor(name);
+            (member.overloads || [member]).forEach(function(overload){
+              target.members[name + '(' + pmd.getParamTypes(overload).join(',').replace(/\s+/g, '').toLowerCase() + ')'] = docFileName + '#' + overload.anchor;
+            });
+          }
+          else if (!target.members[name]){
+            target.members[name] = docFileName + '#' + member.anchor;
+          }
+        });
+      });
+
+      targets[data.name.toLowerCase()] = (targets[data.name.toLowerCase()] || []).concat(target);
+    });//objs.forEach
+
+    (linkObjs || objs).forEach(function(obj){
+      var
+        data = obj.fileData,
+        docFileName = pmd.getDocFileName(obj),
+        current
+        ;
+
+      // Objects of the same folder have priority
+      function getTarget(name){
+        var candidates = targets[name] || [];
+
+        return candidates.filter(function(target){
+          return path.posix.dirname(target.url) === path.posix.dirname(docFileName);
+        })[0] || candidates[0];
+      }// getTarget
+
+      current = targets[data.name.toLowerCase()].filter(function(target){
+        return target.url === docFileName;
+      })[0];
+
+      /**
+       * @param reference Ex: pkg_util.get_value, get_value(), get_value(number), hr.pkg_util
+       * @param location Member that contains the reference, for warnings
+       * @return URL or null if not found
+       */
+      function resolve(reference, location){
+        var url = find(reference, location);
+
+        if (url === null){
+          warn('Unresolved reference ' + reference, location);
+        }
+        return url ? pmd.relativeUrl(docFileName, url) : url;
+      }// resolve
+
+      // Returns the URL of a reference, null if not found and false if ambiguous
+      function find(reference, location){
+        var
+          parts = reference.replace(/\(.*\)$/, '').toLowerCase().split('.'),
+          name = parts[parts.length - 1],
+          argsMatch = /\((.+)\)$/.exec(reference),
+          args = argsMatch ? argsMatch[1].replace(/\s+/g, '').toLowerCase() : '',
+          target,
+          matches
+          ;
+
+        // Overload when the reference has the types of the parameters
+        function getMember(target){
+          return (args && target.members[name + '(' + args + ')']) || target.members[name];
+        }
+
+        // Schema prefix. Ex: hr.pkg_util.get_value
+        if (parts.length > 2){
+          parts = parts.slice(-2);
+        }
+
+        if (parts.length === 2){
+          target = getTarget(parts[0]);
+
+          if (target){
+            return getMember(target) || null;
+          }
+          // schema.object
+          return targets[name] ? getTarget(name).url : null;
+        }
+
+        if (getMember(current)){
+          return getMember(current);
+        }
+        if (targets[name]){
+          return getTarget(name).url;
+        }
+
+        matches = Object.keys(targets).filter(function(key){
+          return getMember(getTarget(key));
+        });
+
+        if (matches.length > 1){
+          warn('Ambiguous reference ' + reference + ' (' + matches.map(function(key){
+            return getTarget(key).name;
+          }).join(', ') + ')', location);
+          return false;
+        }
+
+        return matches.length ? getMember(getTarget(matches[0])) : null;
+      }// find
+
+      // Descriptions are in Markdown whatever the output format (see renderTemplate)
+      function linkify(str, location){
+        if (typeof str !== 'string'){
+          return str;
+        }
+
+        return str.replace(/\{@link\s+([^\s}]+)\s*([^}]*)\}/g, function(match, reference, text){
+          var url = resolve(reference, location);
+
+          text = text.trim() || reference;
+          return url ? pmd.formatLink(url, text, '.md') : text;
+        });
+      }// linkify
+
+      // Standalone procedures and functions: the global entity is also in methods (shallow copy)
+      (data.global && !data.signature ? [data.global] : []).concat(data.methods, data.cursors).forEach(function(entity){
+
+        if (entity.description){
+          ['full', 'summary', 'body'].forEach(function(key){
+            entity.description[key] = linkify(entity.description[key], entity);
+          });
+        }
+        entity.return = linkify(entity.return, entity);
+        entity.params.forEach(function(param){
+          param.description = linkify(param.description, entity);
+        });
+        entity.throws.forEach(function(thrown){
+          thrown.description = linkify(thrown.description, entity);
+        });
+        if (entity.deprecated){
+          entity.deprecated.description = linkify(entity.deprecated.description, entity);
+        }
+
+        entity.see.forEach(function(see){
+          if (/^[a-z]+:\/\//i.test(see.reference)){
+            see.url = see.reference;
+          }
+          else {
+            see.url = resolve(see.reference, entity) || null;
+          }
+        });
+      });
+
+      [data.constants, data.types, data.refCursors, data.variables, data.exceptions].forEach(function(members){
+        members.forEach(function(member){
+          member.description = linkify(member.description, member);
+        });
+      });
+
+      data.attributes.forEach(function(attribute){
+        attribute.description = linkify(attribute.description, data.global || {});
+      });
+    });//objs.forEach
+  }// resolveLinks
+
+
+  /**
+   * Formats a link for an output format
+   *
+   * @param url
+   * @param text
+   * @param ext Extension of the output file. Ex: .md, .html
+   * @return Markdown link for .md, HTML link otherwise
+   */
+  pmd.formatLink = function(url, text, ext){
+    if (ext === '.md'){
+      return '[' + text + '](' + url + ')';
+    }
+    return '<a href="' + url + '">' + text + '</a>';
+  }// formatLink
+
+
+  /**
+   * Sets the URLs of the @issue tags and the profiles of the @author tags of each object, method and cursor (see setLinks)
+   * Issues get their url (null if the project has no URL for them). Entities get authors: see getAuthors
+   *
+   * @param objs array of all data
+   */
+  pmd.linkIssues = function(objs){
+    objs.forEach(function(obj){
+      var data = obj.fileData;
+
+      (data.global ? [data.global] : []).concat(data.methods, data.cursors).forEach(function(entity){
+        entity.issues.forEach(function(issue){
+          issue.url = pmd.getIssueUrl(issue.number);
+        });
+        entity.authors = pmd.getAuthors(entity.author);
+      });
+    });
+  }// linkIssues
+
+
+  /**
+   * Links the functions that return a ref cursor with the ref cursor types (see dox.parseRefCursor)
+   * A function returns a ref cursor when its return type is sys_refcursor or a ref cursor type of the project. Ex: t_emp_cur, pkg_types.t_emp_cur
+   * Sets:
+   *  - refCursor of the functions: {name, url}. url: ref cursor type in its documentation file, null for sys_refcursor
+   *  - returnedBy of the ref cursor types: public functions that return them [{name, url}]. Functions of the other objects are prefixed with their object. Ex: pkg_emp.get_emps
+   *  - cursorFunctions of the objects: their public functions that return a ref cursor [{name, anchor, dataType, refCursor}]
+   *
+   * @param objs array of all data, merged (see mergeObjs)
+   */
+  pmd.linkCursors = function(objs){
+    // Objects (lower case name): {docFileName, refCursors: {<lower case name>: ref cursor type}}. Objects of different folders with the same name: the first one
+    var targets = Object.create(null);
+
+    function getTarget(obj){
+      var refCursors = Object.create(null);
+
+      obj.fileData.refCursors.forEach(function(refCursor){
+        refCursors[refCursor.name.replace(/"/g, '').toLowerCase()] = refCursor;
+      });
+
+      return {
+        docFileName: pmd.getDocFileName(obj),
+        refCursors: refCursors
+      };
+    }// getTarget
+
+    objs.forEach(function(obj){
+      var name = obj.fileData.name.toLowerCase();
+
+      obj.fileData.refCursors.forEach(function(refCursor){
+        refCursor.returnedBy = [];
+      });
+      obj.fileData.cursorFunctions = [];
+
+      if (!targets[name]){
+        targets[name] = getTarget(obj);
+      }
+    });
+
+    objs.forEach(function(obj){
+      var
+        data = obj.fileData,
+        docFileName = pmd.getDocFileName(obj),
+        current = getTarget(obj)
+        ;
+
+      function link(method){
+        var
+          returnType = method.type === pmd.DOCTYPES.FUNCTION && method.signature && method.signature.return,
+          // Schema prefix. Ex: hr.pkg_types.t_emp_cur
+          names = returnType ? returnType.dataType.replace(/"/g, '').toLowerCase().split('.').slice(-2) : [],
+          target = names.length > 1 ? targets[names[0]] : current,
+          refCursor = target && target.refCursors[names[names.length - 1]]
+          ;
+
+        method.refCursor = null;
+
+        if (refCursor){
+          method.refCursor = {
+            name: refCursor.name,
+            url: pmd.relativeUrl(docFileName, target.docFileName + '#' + refCursor.anchor)
+          };
+
+          if (!method.isPrivate){
+            refCursor.returnedBy.push({
+              name: (target.docFileName === docFileName ? '' : data.name + '.') + method.displayName,
+              url: pmd.relativeUrl(target.docFileName, docFileName + '#' + method.anchor)
+            });
+          }
+        }
+        else if (returnType && /^sys_refcursor$/i.test(returnType.dataType)){
+          method.refCursor = {
+            name: returnType.dataType,
+            url: null
+          };
+        }
+
+        // Standalone functions: the function is the object
+        if (method.refCursor && !method.isPrivate && !data.signature){
+          data.cursorFunctions.push({
+            name: method.displayName,
+            anchor: method.anchor,
+            dataType: returnType.dataType,
+            refCursor: method.refCursor
+          });
+        }
+      }// link
+
+      data.methods.forEach(function(method){
+        (method.overloads || [method]).forEach(link);
+
+        // Methods already grouped with their overloads (see groupOverloads. Ex: in watch mode) have the attributes of their first overload
+        if (method.overloads){
+          method.refCursor = method.overloads[0].refCursor;
+        }
+      });
+    });//objs.forEach
+  }// linkCursors
+
+
+  /**
+   * Builds the dependency graph of the project from the names referenced by the code of each object (see dox.parseReferences)
+   * Only the references to the other objects of the project are kept
+   * Sets the dependencies of each object (data.dependencies) and of the project (pmd.dependencies)
+   *
+   * @param objs array of all data, merged (see mergeObjs)
+   */
+  pmd.linkDependencies = function(objs){
+    var
+      // Maps without prototype: referenced names can be anything. Ex: constructor
+      targets = Object.create(null), // Objects (lower case name): {name, kind, docFileName, members: {<lower case name>: kind of member}}. Objects of different folders with the same name: the first one
+      edges = Object.create(null), // Edges of each object (lower case name) to other objects (lower case name): {from, to, kinds, members}
+      graph = {
+        nodes: [],
+        edges: []
+      }
+      ;
+
+    objs.forEach(function(obj){
+      var
+        data = obj.fileData,
+        name = data.name.toLowerCase(),
+        members = Object.create(null)
+        ;
+
+      if (targets[name]){
+        return;
+      }
+
+      data.methods.concat(data.cursors).forEach(function(method){
+        members[(method.displayName || method.name).replace(/"/g, '').toLowerCase()] = method.type;
+      });
+      [['type', data.types], ['type', data.refCursors], ['constant', data.constants], ['variable', data.variables], ['exception', data.exceptions]].forEach(function(list){
+        list[1].forEach(function(member){
+          members[member.name.replace(/"/g, '').toLowerCase()] = list[0];
+        });
+      });
+
+      targets[name] = {
+        name: data.name,
+        kind: data.kind,
+        docFileName: pmd.getDocFileName(obj),
+        members: members
+      };
+      edges[name] = Object.create(null);
+    });//objs.forEach
+
+    // Kind of dependency of a reference to a target. member: lower case name of the member, if any
+    function getKind(reference, target, member){
+      var memberKind = member && target.members[member];
+
+      if (reference.anchor){
+        return pmd.DEPENDENCY_KINDS.ANCHOR;
+      }
+      if (memberKind === 'procedure' || memberKind === 'function' || (!memberKind && (target.kind === 'procedure' || target.kind === 'function'))){
+        return pmd.DEPENDENCY_KINDS.CALL;
+      }
+      if (memberKind === 'type' || (!memberKind && target.kind === 'type')){
+        return pmd.DEPENDENCY_KINDS.TYPE;
+      }
+      return pmd.DEPENDENCY_KINDS.REFERENCE;
+    }// getKind
+
+    objs.forEach(function(obj){
+      var from = obj.fileData.name.toLowerCase();
+
+      (obj.fileData.references || []).forEach(function(reference){
+        var
+          names = reference.names,
+          target,
+          member,
+          kind,
+          edge
+          ;
+
+        // Schema prefix. Ex: hr.pkg_util.get_value
+        if (names.length > 1 && !targets[names[0]] && targets[names[1]]){
+          names = names.slice(1);
+        }
+
+        target = targets[names[0]];
+        if (!target || names[0] === from){
+          return;
+        }
+        member = names[1] && target.members[names[1]] ? names[1] : null;
+
+        edge = edges[from][names[0]] = edges[from][names[0]] || {
+          from: targets[from].name,
+          to: target.name,
+          kinds: [],
+          members: []
+        };
+
+        kind = getKind(reference, target, member);
+        if (edge.kinds.indexOf(kind) === -1){
+          edge.kinds.push(kind);
+        }
+        if (member && edge.members.indexOf(member) === -1){
+          edge.members.push(member);
+        }
+      });
+    });//objs.forEach
+
+    Object.keys(edges).sort().forEach(function(from){
+      Object.keys(edges[from]).sort().forEach(function(to){
+        edges[from][to].kinds.sort();
+        edges[from][to].members.sort();
+        graph.edges.push(edges[from][to]);
+      });
+    });
+
+    // Objects without dependencies are not in the graph of the project
+    Object.keys(targets).sort().forEach(function(name){
+      var target = targets[name];
+
+      if (graph.edges.some(function(edge){
+        return edge.from === target.name || edge.to === target.name;
+      })){
+        graph.nodes.push({
+          name: target.name,
+          kind: target.kind,
+          docFileName: target.docFileName
+        });
+      }
+    });
+
+    pmd.dependencies = extend({
+      mermaid: pmd.formatMermaid(graph, ''),
+      dot: pmd.formatDot(graph, '', 'dependencies')
+    }, graph);
+
+    objs.forEach(function(obj){
+      var
+        data = obj.fileData,
+        docFileName = pmd.getDocFileName(obj),
+        objGraph = pmd.getObjectGraph(graph, data.name)
+        ;
+
+      // Object that uses (uses) or is used by (usedBy) this object
+      function toDependency(edge, name){
+        var target = targets[name.toLowerCase()];
+
+        return {
+          name: target.name,
+          kind: target.kind,
+          url: pmd.relativeUrl(docFileName, target.docFileName),
+          kinds: edge.kinds,
+          members: edge.members
+        };
+      }
+
+      data.dependencies = {
+        uses: objGraph.edges.filter(function(edge){
+          return edge.from === data.name;
+        }).map(function(edge){
+          return toDependency(edge, edge.to);
+        }),
+        usedBy: objGraph.edges.filter(function(edge){
+          return edge.to === data.name;
+        }).map(function(edge){
+          return toDependency(edge, edge.from);
+        }),
+        mermaid: pmd.formatMermaid(objGraph, docFileName),
+        dot: pmd.formatDot(objGraph, docFileName, data.name)
+      };
+    });//objs.forEach
+  }// linkDependencies
+
+
+  /**
+   * Returns the part of a dependency graph around an object: its edges and the objects they link
+   *
+   * @param graph See formatMermaid
+   * @param name Name of the object
+   * @return {nodes, edges}
+   */
+  pmd.getObjectGraph = function(graph, name){
+    var edges = graph.edges.filter(function(edge){
+      return edge.from === name || edge.to === name;
+    });
+
+    return {
+      nodes: graph.nodes.filter(function(node){
+        return node.name === name || edges.some(function(edge){
+          return edge.from === node.name || edge.to === node.name;
+        });
+      }),
+      edges: edges
+    };
+  }// getObjectGraph
+
+
+  /**
+   * Formats a dependency graph as a Mermaid flowchart
+   * Nodes link to the documentation of their object
+   *
+   * @param graph {nodes: [{name, kind, docFileName}], edges: [{from, to, kinds}]} (see linkDependencies)
+   * @param docFileName Documentation file that contains the graph (links are relative to it). '' for the output folder
+   * @return Mermaid code
+   */
+  pmd.formatMermaid = function(graph, docFileName){
+    var
+      lines = ['graph LR'],
+      ids = {} // Node ids are generated since names may be Mermaid keywords (Ex: end)
+      ;
+
+    function escape(str){
+      return str.replace(/"/g, '#quot;');
+    }
+
+    graph.nodes.forEach(function(node, i){
+      ids[node.name] = 'n' + i;
+      lines.push('  ' + ids[node.name] + '["' + escape(node.name.toUpperCase()) + '"]');
+    });
+    graph.edges.forEach(function(edge){
+      lines.push('  ' + ids[edge.from] + ' -->|' + edge.kinds.join(', ') + '| ' + ids[edge.to]);
+    });
+    graph.nodes.forEach(function(node){
+      lines.push('  click ' + ids[node.name] + ' "' + escape(pmd.relativeUrl(docFileName, node.docFileName)) + '"');
+    });
+
+    return lines.join('\n');
+  }// formatMermaid
+
+
+  /**
+   * Formats a dependency graph in the DOT language of Graphviz
+   *
+   * @param graph See formatMermaid
+   * @param docFileName See formatMermaid
+   * @param name Name of the graph
+   * @return DOT code
+   */
+  pmd.formatDot = function(graph, docFileName, name){
+    var lines = [];
+
+    function quote(str){
+      return '"' + str.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+    }
+
+    lines.push('digraph ' + quote(name) + ' {');
+    lines.push('  rankdir=LR;');
+    lines.push('  node [shape=box];');
+    graph.nodes.forEach(function(node){
+      lines.push('  ' + quote(node.name) + ' [label=' + quote(node.name.toUpperCase()) + ', URL=' + quote(pmd.relativeUrl(docFileName, node.docFileName)) + '];');
+    });
+    graph.edges.forEach(function(edge){
+      lines.push('  ' + quote(edge.from) + ' -> ' + quote(edge.to) + ' [label=' + quote(edge.kinds.join(', ')) + '];');
+    });
+    lines.push('}');
+
+    return lines.join('\n');
+  }// formatDot
+
+
+  /**
+   * Generates the files of the HTML site mode: search index and assets
+   * Also sets pmd.site (navigation tree and search index file) so it's available to all the templates
+   *
+   * @param config Config JSON
+   * @param objs array of all data
+   */
+  pmd.generateSite = function(config, objs){
+    if (!config.site.enabled){
+      return;
+    }
+
+    debug.log('\nCreated site');
+
+    var outputPath = path.resolve(config.folders[0].output.path);
+
+    pmd.site = {
+      searchIndex: config.site.searchIndex,
+      toc: config.toc.template ? config.toc.fileName : null,
+      issues: config.issues.template ? config.issues.fileName : null,
+      tree: pmd.buildNavTree(objs)
+    };
+
+    pmd.writeFile(path.resolve(outputPath, config.site.searchIndex), JSON.stringify(pmd.buildSearchIndex(objs)));
+
+    // The bundled assets are copied first so that projects can override them
+    [path.resolve(__dirname, '../templates/assets')].concat(config.site.assets ? path.resolve(config.site.assets) : []).forEach(function(assetsPath){
+      if (pmd.dryRun){
+        pmd.log('Would copy: ' + assetsPath + ' to ' + path.resolve(outputPath, 'assets'));
+      }
+      else {
+        fs.copySync(assetsPath, path.resolve(outputPath, 'assets'));
+      }
+    });
+  }// generateSite
+
+
+  /**
+   * Builds the navigation tree of the site based on the source folders hierarchy
+   * Objects of all the folders (config.folders) are merged in the same tree
+   *
+   * @param objs array of all data
+   * @return Root folder: {name, folders, files}. files: [{name, kind, docFileName, summary, members}] (see listMembers). docFileName is relative to the output folder
+   */
+  pmd.buildNavTree = function(objs){
+    var root = {
+      name: '',
+      folders: [],
+      files: []
+    };
+
+    objs.forEach(function(obj){
+      var
+        node = root,
+        relPath = path.relative(obj.folder.source.rootPath, obj.folder.source.path)
+        ;
+
+      relPath.split(path.sep).filter(Boolean).forEach(function(folderName){
+        var child = node.folders.filter(function(folder){
+          return folder.name === folderName;
+        })[0];
+
+        if (!child){
+          child = {
+            name: folderName,
+            folders: [],
+            files: []
+          };
+          node.folders.push(child);
+        }
+        node = child;
+      });
+
+      node.files.push({
+        name: obj.fileData.name,
+        kind: obj.fileData.kind,
+        docFileName: pmd.getDocFileName(obj),
+        summary: pmd.toSummary(obj.fileData.global && obj.fileData.global.description),
+        members: pmd.listMembers(obj)
+      });
+    });//objs.forEach
+
+    (function sortFolder(folder){
+      folder.folders.sort(function(a, b){
+        return a.name.localeCompare(b.name);
+      }).forEach(sortFolder);
+      folder.files.sort(function(a, b){
+        return a.name.localeCompare(b.name);
+      });
+    })(root);
+
+    return root;
+  }// buildNavTree
+
+
+  /**
+   * Converts a description to a one line summary
+   *
+   * @param description Description parsed by dox ({summary}) or string, in Markdown
+   * @return Text
+   */
+  pmd.toSummary = function(description){
+    var text = description && typeof description === 'object' ? description.summary : description;
+
+    return format.toText(text);
+  }// toSummary
+
+
+  /**
+   * Lists the documented members of an object: public methods and cursors, constants, types (ref cursor types included) and exceptions
+   * Members of standalone procedures and functions are not listed since they are the object
+   *
+   * @param obj
+   * @return Array of {name, kind, anchor, url, summary}. url is relative to the output folder
+   */
+  pmd.listMembers = function(obj){
+    var
+      data = obj.fileData,
+      docFileName = pmd.getDocFileName(obj),
+      members = []
+      ;
+
+    function add(kind, member){
+      members.push({
+        name: member.displayName || member.name,
+        kind: kind,
+        anchor: member.anchor,
+        url: docFileName + '#' + member.anchor,
+        summary: pmd.toSummary(member.description)
+      });
+    }
+
+    if (!data.signature){
+      data.methods.concat(data.cursors).forEach(function(method){
+        if (!method.isPrivate){
+          add(method.type, method);
+        }
+      });
+    }
+
+    data.constants.forEach(add.bind(null, 'constant'));
+    data.types.concat(data.refCursors).forEach(add.bind(null, 'type'));
+    data.exceptions.forEach(add.bind(null, 'exception'));
+
+    return members;
+  }// listMembers
+
+
+  /**
+   * Builds the client-side search index
+   * Contains an entry for each object and each of its members (see listMembers)
+   *
+   * @param objs array of all data
+   * @return Array of entries: {name, kind, parent, url, summary}. url is relative to the output folder
+   */
+  pmd.buildSearchIndex = function(objs){
+    var index = [];
+
+    objs.forEach(function(obj){
+      var data = obj.fileData;
+
+      index.push({
+        name: data.name,
+        kind: data.kind,
+        parent: null,
+        url: pmd.getDocFileName(obj),
+        summary: pmd.toSummary(data.global && data.global.description)
+      });
+
+      pmd.listMembers(obj).forEach(function(member){
+        index.push({
+          name: member.name,
+          kind: member.kind,
+          parent: data.name,
+          url: member.url,
+          summary: member.summary
+        });
+      });
+    });//objs.forEach
+
+    return index;
+  }// buildSearchIndex
+
+
+  /**
+   * Builds the JSON model of the objects (see docs/export.md), described by schema/model.schema.json
+   * Contains what the templates get, without the template specific data (Ex: TOC, site)
+   *
+   * @param config Config JSON
+   * @param objs array of all data, merged (see generateDocs)
+   * @param basePath optional - Folder that the paths of the source files are relative to. Default: absolute paths
+   * @return Model: {$schema, modelVersion, generator, project, objects}
+   */
+  pmd.buildModel = function(config, objs, basePath){
+    var packageJson = require('../package.json');
+
+    function toPath(filePath){
+      if (!filePath){
+        return null;
+      }
+      return basePath ? path.relative(basePath, filePath).split(path.sep).join('/') : filePath;
+    }
+
+    // Descriptions of objects and methods are parsed by dox: {full, summary, body}. Other descriptions are strings
+    function toDescription(description){
+      if (description && typeof description === 'object'){
+        return {
+          description: description.full,
+          summary: description.summary
+        };
+      }
+      return {
+        description: description || '',
+        summary: description || ''
+      };
+    }
+
+    // JavaDoc of an object or a method
+    function toDoc(entity){
+      return extend(toDescription(entity.description), {
+        author: entity.author || '',
+        created: entity.created || '',
+        deprecated: entity.deprecated || null,
+        since: entity.since || '',
+        authors: entity.authors || pmd.getAuthors(entity.author),
+        example: entity.example || '',
+        examples: entity.examples || [],
+        issues: (entity.issues || []).map(function(issue){
+          return {
+            number: issue.number,
+            description: issue.description,
+            url: issue.url || null
+          };
+        }),
+        see: entity.see || [],
+        throws: entity.throws || [],
+        todos: entity.todos || [],
+        tags: entity.tags || {}
+      });
+    }
+
+    function toMember(member){
+      return extend({
+        name: member.name,
+        anchor: member.anchor,
+        isPrivate: !!member.isPrivate,
+        deprecated: member.deprecated || null,
+        since: member.since || '',
+        code: member.code
+      }, toDescription(member.description), {
+        file: toPath(member.file),
+        line: member.line
+      });
+    }
+
+    function toParam(param){
+      return {
+        name: param.name,
+        mode: param.mode || null,
+        nocopy: !!param.nocopy,
+        dataType: param.dataType || null,
+        anchor: param.anchor || null,
+        default: param.default === undefined ? null : param.default,
+        hasDefault: !!param.hasDefault,
+        description: param.description || ''
+      };
+    }
+
+    function toMethod(method){
+      return extend({
+        name: method.displayName || method.name,
+        anchor: method.anchor,
+        type: method.type,
+        isPrivate: !!method.isPrivate,
+        memberKind: method.memberKind || null,
+        group: method.group || '',
+        header: method.header,
+        signature: method.signature,
+        params: method.params.map(toParam),
+        return: method.return,
+        refCursor: method.refCursor || null
+      }, toDoc(method), {
+        file: toPath(method.file),
+        line: method.line
+      });
+    }
+
+    function toCursor(cursor){
+      return extend({
+        name: cursor.displayName,
+        anchor: cursor.anchor,
+        type: cursor.type,
+        isPrivate: !!cursor.isPrivate,
+        header: cursor.header,
+        signature: cursor.signature,
+        params: cursor.params.map(toParam),
+        return: cursor.return,
+        query: cursor.query
+      }, toDoc(cursor), {
+        file: toPath(cursor.file),
+        line: cursor.line
+      });
+    }
+
+    function toRefCursor(refCursor){
+      return extend(toMember(refCursor), {
+        returnType: refCursor.returnType,
+        returnedBy: refCursor.returnedBy
+      });
+    }
+
+    return {
+      $schema: pmd.MODEL_SCHEMA_URL,
+      modelVersion: pmd.MODEL_VERSION,
+      generator: {
+        name: packageJson.name,
+        version: packageJson.version
+      },
+      project: config.projectDispName,
+      objects: objs.map(function(obj){
+        var
+          // Descriptions are HTML in the model, whatever the format of the documentation
+          data = format.formatData(obj.fileData, format.FORMATS.HTML),
+          files = [obj.file.path], // Spec and body files
+          // Each overload is a method (see groupOverloads)
+          methods = data.methods.reduce(function(methods, method){
+            return methods.concat(method.overloads || method);
+          }, [])
+          ;
+
+        [].concat(data.global || [], methods, data.cursors, data.constants, data.types, data.refCursors, data.variables, data.exceptions).forEach(function(entity){
+          if (entity.file && files.indexOf(entity.file) === -1){
+            files.push(entity.file);
+          }
+        });
+
+        return extend({
+          name: data.name,
+          kind: data.kind,
+          docFileName: pmd.getDocFileName(obj),
+          files: files.map(toPath)
+        }, toDoc(data.global || {}), {
+          // Standalone procedures and functions. They are also listed in methods
+          header: data.header || null,
+          signature: data.signature || null,
+          methods: methods.map(toMethod),
+          cursors: data.cursors.map(toCursor),
+          constants: data.constants.map(toMember),
+          types: data.types.map(toMember),
+          refCursors: data.refCursors.map(toRefCursor),
+          variables: data.variables.map(toMember),
+          exceptions: data.exceptions.map(toMember),
+          attributes: data.attributes,
+          objectType: data.objectType,
+          table: data.table,
+          sequence: data.sequence,
+          trigger: data.trigger
+        });
+      }).sort(function(a, b){
+        return a.name.localeCompare(b.name);
+      })
+    };
+  }// buildModel
+
+
+  /**
+   * Writes the JSON model of the objects to config.export.path (see buildModel)
+   * Paths of the source files are relative to config.export.basePath
+   *
+   * @param config Config JSON
+   * @param objs array of all data, merged
+   */
+  pmd.exportModel = function(config, objs){
+    if (!config.export.path){
+      return;
+    }
+
+    var exportPath = path.resolve(config.export.path);
+
+    debug.log('\nExported model');
+    pmd.writeFile(exportPath, JSON.stringify(pmd.buildModel(config, objs, config.export.basePath), null, 2));
+  }// exportModel
+
+
+  /**
+   * Reads the source files of a source tree (see SOURCE_FILE_REGEXP)
+   * A source tree is a folder or a git revision of the repository of the current folder. The files of a revision are read with git show
+   *
+   * @param source Folder, <revision> or <revision>:<path>. Ex: src, v1.2.0, HEAD~1, main:src/packages. path is relative to the current folder
+   * @return Array of files: {path, content}. path is relative to the source tree, with "/" separators
+   */
+  pmd.readSourceTree = function(source){
+    var
+      files = [],
+      revision = source,
+      treePath = '.',
+      revisionMatch
+      ;
+
+    function git(args){
+      try {
+        return childProcess.execFileSync('git', args, {
+          encoding: 'utf8',
+          maxBuffer: 64 * 1024 * 1024,
+          stdio: ['ignore', 'pipe', 'pipe']
+        });
+      }
+      catch (e){
+        throw new errors.UsageError('Not a folder or a git revision: ' + source + (e.stderr ? ' (' + String(e.stderr).trim() + ')' : ''));
+      }
+    }// git
+
+    function readFolder(folderPath){
+      fs.readdirSync(folderPath).sort().forEach(function(fileName){
+        var filePath = path.join(folderPath, fileName);
+
+        if (fs.lstatSync(filePath).isDirectory()){
+          readFolder(filePath);
+        }
+        else if (pmd.SOURCE_FILE_REGEXP.test(fileName)){
+          files.push({
+            path: path.relative(source, filePath).split(path.sep).join('/'),
+            content: fs.readFileSync(filePath, 'utf8')
+          });
+        }
+      });
+    }// readFolder
+
+    if (fs.existsSync(source) && fs.lstatSync(source).isDirectory()){
+      readFolder(source);
+      return files;
+    }
+
+    revisionMatch = /^([^:]+):(.+)$/.exec(source);
+    if (revisionMatch){
+      revision = revisionMatch[1];
+      treePath = revisionMatch[2];
+    }
+
+    // Paths are relative to the current folder
+    git(['ls-tree', '-r', '--name-only', '-z', revision, '--', treePath]).split('\0').sort().forEach(function(filePath){
+      if (pmd.SOURCE_FILE_REGEXP.test(filePath)){
+        files.push({
+          path: path.posix.relative(path.posix.normalize(treePath), filePath),
+          content: git(['show', revision + ':./' + filePath])
+        });
+      }
+    });
+
+    return files;
+  }// readSourceTree
+
+
+  /**
+   * Builds the JSON model (see buildModel) of a source tree
+   * The specifications and bodies are merged as when generating the documentation
+   *
+   * @param source Source tree (see readSourceTree)
+   * @return Model. project is the source tree and the paths are relative to it
+   */
+  pmd.buildSourceModel = function(source){
+    var
+      // Only used for the names of the documentation files (see getDocFileName)
+      folder = extend(true, {}, defaultConfigFolder, {
+        source: {
+          path: path.resolve(source)
+        },
+        template: path.resolve(__dirname, '../templates/package.md')
+      }),
+      objs = []
+      ;
+
+    pmd.readSourceTree(source).forEach(function(sourceFile){
+      var
+        ext = path.extname(sourceFile.path),
+        file = {
+          ext: ext,
+          name: path.basename(sourceFile.path, ext),
+          path: sourceFile.path,
+          content: sourceFile.content
+        },
+        data = pmd.buildData(file, source)
+        ;
+
+      if (data){
+        objs.push({
+          fileData: data,
+          folder: folder,
+          file: file
+        });
+      }
+    });
+
+    objs = pmd.mergeObjs(objs, {merge: {docPrecedence: pmd.DOC_PRECEDENCES[0]}});
+    pmd.setAnchors(objs);
+    pmd.linkCursors(objs);
+    objs.forEach(function(obj){
+      pmd.groupOverloads(obj.fileData);
+    });
+
+    return pmd.buildModel({projectDispName: source}, objs, null);
+  }// buildSourceModel
+
+
+  /**
+   * Compares the models of two versions of the sources (see buildSourceModel)
+   * Private methods and declarations are ignored. A change is breaking when code that uses the old version may not compile or behave the same with the new one
+   *
+   * @param oldModel
+   * @param newModel
+   * @return Report: {from, to, breaking: number of breaking changes, changes: [{object, objectKind, member, memberType, change, breaking, details}]}
+   *  change: added, removed, changed or deprecated. member: null for changes of the object. details: Array of Markdown strings
+   */
+  pmd.diffModels = function(oldModel, newModel){
+    var
+      report = {
+        from: oldModel.project,
+        to: newModel.project,
+        breaking: 0,
+        changes: []
+      },
+      oldObjects = Object.create(null) // See getKey. Not an object literal: names can be anything. Ex: constructor
+      ;
+
+    // Ex: '`p_name`'
+    function code(str){
+      return '`' + str + '`';
+    }
+
+    function normalize(str){
+      return (str || '').replace(/\s+/g, ' ').trim();
+    }
+
+    function add(object, member, memberType, change, breaking, details){
+      report.changes.push({
+        object: object.name,
+        objectKind: object.kind,
+        member: member,
+        memberType: memberType,
+        change: change,
+        breaking: breaking,
+        details: details || []
+      });
+      if (breaking){
+        report.breaking++;
+      }
+    }
+
+    // Ex: get_name(number, varchar2)
+    function getLabel(method){
+      return method.name + '(' + method.signature.params.map(function(param){
+        return param.dataType;
+      }).join(', ') + ')';
+    }
+
+    function isPublic(member){
+      return !member.isPrivate;
+    }
+
+    // Lists the public members by lower case name: {<name>: [members]}
+    function groupByName(members){
+      var groups = Object.create(null); // Not an object literal: members can be named constructor, toString...
+
+      members.filter(isPublic).forEach(function(member){
+        var name = member.name.toLowerCase();
+
+        groups[name] = (groups[name] || []).concat(member);
+      });
+
+      return groups;
+    }
+
+    function checkDeprecated(object, member, memberType, oldItem, newItem){
+      if (newItem.deprecated && !oldItem.deprecated){
+        add(object, member, memberType, 'deprecated', false, newItem.deprecated.description ? [newItem.deprecated.description] : []);
+      }
+    }
+
+    // Returns the changes of the signature of a method: {breaking, details}
+    function compareSignatures(oldMethod, newMethod){
+      var
+        details = [],
+        breaking = false,
+        oldParams = oldMethod.signature.params,
+        newParams = newMethod.signature.params,
+        oldReturn = oldMethod.signature.return,
+        newReturn = newMethod.signature.return,
+        common = [] // Names of the parameters in both versions, in the old order
+        ;
+
+      function change(detail, isBreaking){
+        details.push(detail);
+        breaking = breaking || isBreaking;
+      }
+
+      function find(params, name){
+        return params.filter(function(param){
+          return param.name.toLowerCase() === name.toLowerCase();
+        })[0];
+      }
+
+      if (oldMethod.type !== newMethod.type){
+        change('Changed from ' + oldMethod.type + ' to ' + newMethod.type, true);
+      }
+
+      oldParams.forEach(function(oldParam){
+        var newParam = find(newParams, oldParam.name);
+
+        if (!newParam){
+          change('Parameter ' + code(oldParam.name) + ' removed', true);
+          return;
+        }
+
+        common.push(oldParam.name.toLowerCase());
+
+        if (normalize(oldParam.dataType).toLowerCase() !== normalize(newParam.dataType).toLowerCase()){
+          change('Type of parameter ' + code(oldParam.name) + ' changed from ' + code(oldParam.dataType) + ' to ' + code(newParam.dataType), true);
+        }
+        if (oldParam.mode !== newParam.mode){
+          change('Mode of parameter ' + code(oldParam.name) + ' changed from ' + code(oldParam.mode) + ' to ' + code(newParam.mode), true);
+        }
+        if (oldParam.hasDefault && !newParam.hasDefault){
+          change('Default of parameter ' + code(oldParam.name) + ' removed', true);
+        }
+        else if (!oldParam.hasDefault && newParam.hasDefault){
+          change('Parameter ' + code(oldParam.name) + ' has a default: ' + code(newParam.default), false);
+        }
+        else if (oldParam.hasDefault && normalize(oldParam.default) !== normalize(newParam.default)){
+          change('Default of parameter ' + code(oldParam.name) + ' changed from ' + code(oldParam.default) + ' to ' + code(newParam.default), false);
+        }
+      });//oldParams.forEach
+
+      newParams.forEach(function(newParam){
+        if (!find(oldParams, newParam.name)){
+          // Existing calls still compile if the parameter has a default
+          change('Parameter ' + code(newParam.name) + ' added' + (newParam.hasDefault ? ' with a default' : ''), !newParam.hasDefault);
+        }
+      });
+
+      // Calls with positional parameters
+      if (common.join() !== newParams.map(function(param){
+        return param.name.toLowerCase();
+      }).filter(function(name){
+        return common.indexOf(name) !== -1;
+      }).join()){
+        change('Order of the parameters changed', true);
+      }
+
+      if (oldReturn && newReturn && normalize(oldReturn.dataType).toLowerCase() !== normalize(newReturn.dataType).toLowerCase()){
+        change('Return type changed from ' + code(oldReturn.dataType) + ' to ' + code(newReturn.dataType), true);
+      }
+
+      return {
+        breaking: breaking,
+        details: details
+      };
+    }// compareSignatures
+
+    function compareMethods(object, oldMethods, newMethods){
+      var
+        oldGroups = groupByName(oldMethods),
+        newGroups = groupByName(newMethods)
+        ;
+
+      Object.keys(oldGroups).concat(Object.keys(newGroups).filter(function(name){
+        return !oldGroups[name];
+      })).forEach(function(name){
+        var
+          oldOverloads = (oldGroups[name] || []).slice(),
+          newOverloads = (newGroups[name] || []).slice(),
+          pairs = []
+          ;
+
+        // Overloads are matched by the types of their parameters. A single overload left on each side is the same method with another signature
+        oldOverloads.slice().forEach(function(oldMethod){
+          var label = getLabel(oldMethod).toLowerCase();
+
+          for (var i = 0; i < newOverloads.length; i++){
+            if (getLabel(newOverloads[i]).toLowerCase() === label){
+              pairs.push([oldMethod, newOverloads.splice(i, 1)[0]]);
+              oldOverloads.splice(oldOverloads.indexOf(oldMethod), 1);
+              break;
+            }
+          }
+        });
+        if (oldOverloads.length === 1 && newOverloads.length === 1){
+          pairs.push([oldOverloads.pop(), newOverloads.pop()]);
+        }
+
+        oldOverloads.forEach(function(method){
+          add(object, getLabel(method), method.type, 'removed', true);
+        });
+        newOverloads.forEach(function(method){
+          add(object, getLabel(method), method.type, 'added', false);
+        });
+
+        pairs.forEach(function(pair){
+          var diff = compareSignatures(pair[0], pair[1]);
+
+          if (diff.details.length){
+            add(object, getLabel(pair[0]), pair[1].type, 'changed', diff.breaking, diff.details);
+          }
+          checkDeprecated(object, getLabel(pair[1]), pair[1].type, pair[0], pair[1]);
+        });
+      });
+    }// compareMethods
+
+    // Constants, types, variables, exceptions and attributes
+    // changeBreaking: a change of the declaration is breaking. Ex: a type, but not the value of a constant
+    function compareMembers(object, memberType, oldMembers, newMembers, changeBreaking, addBreaking){
+      var
+        oldGroups = groupByName(oldMembers),
+        newGroups = groupByName(newMembers)
+        ;
+
+      Object.keys(oldGroups).forEach(function(name){
+        var
+          oldMember = oldGroups[name][0],
+          newMember = newGroups[name] && newGroups[name][0],
+          oldCode = oldMember.code || oldMember.dataType,
+          newCode
+          ;
+
+        if (!newMember){
+          add(object, oldMember.name, memberType, 'removed', true);
+          return;
+        }
+
+        newCode = newMember.code || newMember.dataType;
+        if (normalize(oldCode) !== normalize(newCode)){
+          add(object, newMember.name, memberType, 'changed', changeBreaking, ['From ' + code(normalize(oldCode)) + ' to ' + code(normalize(newCode))]);
+        }
+        checkDeprecated(object, newMember.name, memberType, oldMember, newMember);
+      });
+
+      Object.keys(newGroups).forEach(function(name){
+        if (!oldGroups[name]){
+          add(object, newGroups[name][0].name, memberType, 'added', addBreaking);
+        }
+      });
+    }// compareMembers
+
+    // Folder and lower case name. Objects of different folders can have the same name. Ex: a/util.pks and b/util.pks
+    function getKey(object){
+      return path.posix.dirname(object.files[0]) + '/' + object.name.toLowerCase();
+    }
+
+    function compareObjects(oldObject, newObject){
+      if (oldObject.kind !== newObject.kind){
+        add(newObject, null, null, 'changed', true, ['Changed from ' + oldObject.kind + ' to ' + newObject.kind]);
+      }
+      checkDeprecated(newObject, null, null, oldObject, newObject);
+
+      compareMethods(newObject, oldObject.methods, newObject.methods);
+      compareMethods(newObject, oldObject.cursors, newObject.cursors);
+      compareMembers(newObject, 'constant', oldObject.constants, newObject.constants, false, false);
+      // A type may become a ref cursor type (or the reverse)
+      compareMembers(newObject, 'type', oldObject.types.concat(oldObject.refCursors), newObject.types.concat(newObject.refCursors), true, false);
+      compareMembers(newObject, 'variable', oldObject.variables, newObject.variables, true, false);
+      compareMembers(newObject, 'exception', oldObject.exceptions, newObject.exceptions, false, false);
+      // The default constructor of an object type has a parameter for each attribute
+      compareMembers(newObject, 'attribute', oldObject.attributes, newObject.attributes, true, true);
+    }// compareObjects
+
+    oldModel.objects.forEach(function(object){
+      oldObjects[getKey(object)] = object;
+    });
+
+    // Objects of the same folder first, then the objects moved to another folder (when a single old object has their name)
+    newModel.objects.filter(function(newObject){
+      var key = getKey(newObject);
+
+      if (!oldObjects[key]){
+        return true;
+      }
+      compareObjects(oldObjects[key], newObject);
+      delete oldObjects[key];
+      return false;
+    }).forEach(function(newObject){
+      var keys = Object.keys(oldObjects).filter(function(key){
+        return oldObjects[key].name.toLowerCase() === newObject.name.toLowerCase();
+      });
+
+      if (keys.length !== 1){
+        add(newObject, null, null, 'added', false);
+        return;
+      }
+      compareObjects(oldObjects[keys[0]], newObject);
+      delete oldObjects[keys[0]];
+    });//newModel.objects.forEach
+
+    Object.keys(oldObjects).forEach(function(key){
+      add(oldObjects[key], null, null, 'removed', true);
+    });
+
+    report.changes.sort(function(a, b){
+      return a.object.localeCompare(b.object);
+    });
+
+    return report;
+  }// diffModels
+
+
+  /**
+   * Formats the report of diffModels
+   *
+   * @param report
+   * @param format markdown or json
+   * @return Formatted report
+   */
+  pmd.formatDiffReport = function(report, format){
+    var
+      lines = ['# Changes from ' + report.from + ' to ' + report.to, ''],
+      object
+      ;
+
+    if (format === 'json'){
+      return JSON.stringify(report, null, 2);
+    }
+
+    if (!report.changes.length){
+      lines.push('No changes');
+      return lines.join('\n');
+    }
+
+    lines.push(report.changes.length + ' changes, ' + (report.breaking ? '**' + report.breaking + ' breaking**' : 'none breaking'));
+
+    report.changes.forEach(function(change){
+      var
+        what = change.member ? change.memberType + ' `' + change.member + '`' : change.objectKind,
+        line = (change.breaking ? '**Breaking** ' : '') + initCap(change.change) + ' ' + what
+        ;
+
+      if (change.object !== object){
+        object = change.object;
+        lines.push('', '## ' + object.toUpperCase(), '');
+      }
+
+      if (change.change === 'deprecated'){
+        lines.push('- ' + line + (change.details.length ? ': ' + change.details[0] : ''));
+        return;
+      }
+
+      lines.push('- ' + line);
+      change.details.forEach(function(detail){
+        lines.push('  - ' + detail);
+      });
+    });//report.changes.forEach
+
+    return lines.join('\n');
+  }// formatDiffReport
+
+
+  /**
+   * Renders a template for the format of its output file (see format.FORMATS)
+   * The descriptions of the data are rendered in this format, and helpers get it in @format (Ex: lineBreakToBr)
+   *
+   * @param template Compiled Handlebars template
+   * @param data Data of an object (see buildData) or of the TOC
+   * @param fileName Name (or path) of the output file. Ex: my_pkg.md
+   * @return Rendered file
+   */
+  pmd.renderTemplate = function(template, data, fileName){
+    var outputFormat = format.getFormat(fileName);
+
+    return template(format.formatData(data, outputFormat), {
+      data: {
+        format: outputFormat
+      }
+    });
+  }// renderTemplate
+
+
+  /**
+   * Saves data to files
+   *
+   * @param objs array of all data
+   */
+  pmd.saveToFile = function(config, objs){
+    // Finally print out data
+    objs.forEach(function(obj){
+  	obj.fileData.files = pmd.globalFiles;
+      obj.fileData.site = pmd.site;
+      obj.fileData.version = config.version;
+      obj.fileData.versions = pmd.versions;
+
+      // Links to the TOC, the other objects and the site assets are relative to the output folder
+      obj.fileData.docFileName = pmd.getDocFileName(obj);
+      obj.fileData.rootPath = pmd.getRootPath(obj.fileData.docFileName);
+
+      var markdown = pmd.renderTemplate(obj.template, obj.fileData, obj.fileData.docFileName);
+      let docExtName = path.extname(obj.folder.template);
+
+      if (debug.debug){
+        debug.logFile(obj.fileData.name + docExtName, markdown);
+      }
+
+      pmd.writeFile(path.resolve(obj.folder.output.path, obj.fileData.docFileName), markdown);
+    });
+  }//saveToFile
+
+  /**
+   * Generates Table of Conents (TOC)
+   *
+   * @issue 12: Original issue
+   *
+   * @params config
+   * @params objs array of objs
+   */
+  pmd.generateToc = function(config, objs){
+    // #12 Generate Index file.
+    if (config.toc.template){
+      debug.log('\nCreated TOC');
+      pmd.loadHandlebars(config);
+      var
+        indexData = {
+          files: [],
+          tree: pmd.buildNavTree(objs),
+          projectDispName: config.projectDispName,
+          rootPath: '',
+          site: pmd.site,
+          version: config.version,
+          versions: pmd.versions,
+          dependencies: pmd.dependencies
+        },
+        template,
+        templateContent,
+        markdown
+        ;
+
+      objs.forEach(function(obj){
+        var file = {};
+
+        file.docFileName = pmd.getDocFileName(obj);
+        file.name = obj.fileData.name;
+        file.kind = obj.fileData.kind;
+
+        indexData.files.push(file);
+      })//objs.forEach
+
+      // Sort based on names
+      // http://stackoverflow.com/questions/979256/sorting-an-array-of-javascript-objects
+      // Remove duplicates from array, as array was already sorted
+      // http://stackoverflow.com/questions/9229645/remove-duplicates-from-javascript-array
+      indexData.files.sort(function(a, b) {
+        return a.name.localeCompare(b.name);
+      }).filter(function(item, pos, ary) {
+          return !pos || item != ary[pos - 1];
+      });
+
+      // One section per object kind, in the order of dox.OBJECT_KINDS
+      indexData.sections = dox.OBJECT_KINDS.concat('other').map(function(kind){
+        return {
+          kind: kind,
+          title: pmd.KIND_TITLES[kind],
+          files: indexData.files.filter(function(file){
+            return file.kind === kind;
+          })
+        };
+      }).filter(function(section){
+        return section.files.length > 0;
+      });
+
+      templateContent = fs.readFileSync(path.resolve(config.toc.template),'utf8'),
+        template = Handlebars.compile(templateContent);
+      markdown = pmd.renderTemplate(template, indexData, config.toc.fileName);
+
+      pmd.globalFiles = indexData.files;
+
+      pmd.writeFile(path.resolve(config.folders[0].output.path, config.toc.fileName), markdown);
+    }//config.templates.index
+  }// generateToc
+
+
+  /**
+   * Generates the index of the issues referenced by the @issue tags of the project
+   * Lists the objects and the routines of each issue
+   *
+   * @param config Config JSON. config.issues.template: the index is only generated when it's set
+   * @param objs array of all data, after the overloads are grouped (see groupOverloads)
+   */
+  pmd.generateIssues = function(config, objs){
+    if (!config.issues.template){
+      return;
+    }
+
+    debug.log('\nCreated issues index');
+    pmd.loadHandlebars(config);
+
+    var
+      issues = {}, // Issues of each number
+      indexData = {
+        issues: [],
+        projectDispName: config.projectDispName,
+        rootPath: '',
+        site: pmd.site,
+        version: config.version,
+        versions: pmd.versions
+      },
+      template
+      ;
+
+    function add(issue, reference){
+      if (!issues[issue.number]){
+        issues[issue.number] = {
+          number: issue.number,
+          url: issue.url || null,
+          references: []
+        };
+        indexData.issues.push(issues[issue.number]);
+      }
+
+      issues[issue.number].references.push(extend({
+        summary: pmd.toSummary(issue.description)
+      }, reference));
+    }
+
+    objs.forEach(function(obj){
+      var
+        data = obj.fileData,
+        docFileName = pmd.getDocFileName(obj)
+        ;
+
+      if (data.global){
+        data.global.issues.forEach(function(issue){
+          add(issue, {
+            name: data.name,
+            object: data.name,
+            kind: data.kind,
+            url: docFileName
+          });
+        });
+      }
+
+      // Standalone procedures and functions: the method is the object
+      if (data.signature){
+        return;
+      }
+
+      data.methods.forEach(function(method){
+        method.overloads.forEach(function(overload){
+          overload.issues.forEach(function(issue){
+            add(issue, {
+              name: data.name + '.' + (overload.displayName || overload.name) + (method.isOverloaded ? '(' + overload.paramTypes + ')' : ''),
+              object: data.name,
+              kind: overload.type,
+              url: docFileName + '#' + overload.anchor
+            });
+          });
+        });
+      });
+
+      data.cursors.forEach(function(cursor){
+        cursor.issues.forEach(function(issue){
+          add(issue, {
+            name: data.name + '.' + cursor.displayName,
+            object: data.name,
+            kind: cursor.type,
+            url: docFileName + '#' + cursor.anchor
+          });
+        });
+      });
+    });//objs.forEach
+
+    indexData.issues.sort(function(a, b){
+      return a.number.localeCompare(b.number, undefined, {numeric: true, sensitivity: 'base'});
+    }).forEach(function(issue){
+      issue.references.sort(function(a, b){
+        return a.name.localeCompare(b.name);
+      });
+    });
+
+    template = Handlebars.compile(fs.readFileSync(path.resolve(config.issues.template), 'utf8'));
+
+    pmd.writeFile(path.resolve(config.folders[0].output.path, config.issues.fileName), pmd.renderTemplate(template, indexData, config.issues.fileName));
+  }// generateIssues
+
+
+  /**
+   * Builds the data of the book: all the objects in a single document, in the order of the TOC
+   * Anchors are unique in the book: the anchor of each object is built from its documentation file and the anchors of its members are prefixed with it. Ex: pkg_util-get_name
+   * Links to the other documentation files are changed to links to their anchor in the book. Ex: pkg_util.md#get_name => #pkg_util-get_name
+   * The data of the objects is copied: it's shared with the documentation files and the model
+   *
+   * @param config Config JSON
+   * @param objs array of all data, after the files are generated (see saveToFile)
+   * @return {projectDispName, sections: [{kind, title, objects}], objects, dependencies, docFileName, rootPath, site, version, versions}. objects: data of each object with its anchor, the prefix of the anchors of its sections (anchorPrefix) and the partial of its content (contentPartial)
+   */
+  pmd.buildBookData = function(config, objs){
+    var
+      used = Object.create(null), // Anchors of the book
+      files = Object.create(null), // Objects of each documentation file: {anchor, anchors: {<anchor in the file>: anchor in the book}}
+      copies = new Map(), // Copies of the data. Ex: the methods of the groups are the methods of the object
+      sections,
+      graph = null
+      ;
+
+    /**
+     * @param anchor
+     * @param sections optional - Sections of the anchor. Their anchors (anchor-section) must be free too, and are reserved with it
+     * @return anchor, with a number if it's already used. Ex: pkg_util2
+     */
+    function uniqueAnchor(anchor, sections){
+      var
+        ret = anchor,
+        cnt = 2
+        ;
+
+      sections = sections || [];
+      while (used[ret] || sections.some(function(section){
+        return used[ret + '-' + section];
+      })){
+        ret = anchor + cnt++;
+      }
+      used[ret] = true;
+      sections.forEach(function(section){
+        used[ret + '-' + section] = true;
+      });
+
+      return ret;
+    }// uniqueAnchor
+
+    /**
+     * @param url Relative to the documentation file of the object. Ex: other_pkg.md#get_name, #get_name
+     * @param docFileName Documentation file that contains the link
+     * @return Link in the book. null if it isn't a link to an object. Ex: #other_pkg-get_name
+     */
+    function toBookUrl(url, docFileName){
+      var
+        pos = url.indexOf('#'),
+        filePath = pos === -1 ? url : url.slice(0, pos),
+        anchor = pos === -1 ? '' : url.slice(pos + 1),
+        file
+        ;
+
+      // External links. Ex: https://..., mailto:...
+      if (/^([a-z][\w+.-]*:|\/)/i.test(url)){
+        return null;
+      }
+
+      file = files[filePath ? path.posix.normalize(path.posix.join(path.posix.dirname(docFileName), filePath)) : docFileName];
+      if (!file){
+        return null;
+      }
+
+      return '#' + (anchor ? file.anchors[anchor] || file.anchor + '-' + anchor : file.anchor);
+    }// toBookUrl
+
+    // Copies the data of an object: anchors and links are changed for the book
+    function copy(value, key, docFileName){
+      var ret;
+
+      if (typeof value === 'string'){
+        if (key === 'anchor'){
+          return files[docFileName].anchors[value] || files[docFileName].anchor + '-' + value;
+        }
+        if (key === 'url' || key === 'docFileName'){
+          return toBookUrl(value, docFileName) || value;
+        }
+        // Links of the descriptions (see resolveLinks)
+        return value.replace(/(\]\()([^)\s]+)(\))/g, function(match, start, url, end){
+          var bookUrl = toBookUrl(url, docFileName);
+
+          return bookUrl ? start + bookUrl + end : match;
+        });
+      }
+
+      if (!value || typeof value !== 'object' || BOOK_SHARED_KEYS.indexOf(key) !== -1){
+        return value;
+      }
+      if (copies.has(value)){
+        return copies.get(value);
+      }
+
+      ret = Array.isArray(value) ? [] : {};
+      copies.set(value, ret);
+      Object.keys(value).forEach(function(childKey){
+        ret[childKey] = copy(value[childKey], Array.isArray(value) ? key : childKey, docFileName);
+      });
+
+      return ret;
+    }// copy
+
+    // Same order as the TOC: by kind (see dox.OBJECT_KINDS) then by name
+    sections = dox.OBJECT_KINDS.concat('other').map(function(kind){
+      return {
+        kind: kind,
+        title: pmd.KIND_TITLES[kind],
+        objs: objs.filter(function(obj){
+          return obj.fileData.kind === kind;
+        }).sort(function(a, b){
+          return a.fileData.name.localeCompare(b.fileData.name);
+        })
+      };
+    }).filter(function(section){
+      return section.objs.length > 0;
+    });
+
+    // The anchors of the book, of the objects and of their sections are reserved first, so they're not changed by the anchors of the members
+    pmd.BOOK_ANCHORS.forEach(function(anchor){
+      uniqueAnchor(anchor);
+    });
+    sections.forEach(function(section){
+      section.objs.forEach(function(obj){
+        var docFileName = pmd.getDocFileName(obj);
+
+        files[docFileName] = {
+          anchor: uniqueAnchor(pmd.toAnchor(docFileName.replace(/\.[^.\/]*$/, '')), pmd.BOOK_SECTIONS),
+          anchors: Object.create(null)
+        };
+      });
+    });
+
+    sections.forEach(function(section){
+      section.objs.forEach(function(obj){
+        var
+          data = obj.fileData,
+          file = files[pmd.getDocFileName(obj)]
+          ;
+
+        data.methods.reduce(function(members, method){
+          return members.concat(method, method.overloads || []);
+        }, []).concat(data.cursors, data.types, data.refCursors, data.constants, data.variables, data.exceptions, data.attributes).forEach(function(member){
+          if (member.anchor && !file.anchors[member.anchor]){
+            file.anchors[member.anchor] = uniqueAnchor(file.anchor + '-' + member.anchor);
+          }
+        });
+      });
+    });
+
+    // Nodes of the dependency graph link to the objects in the book
+    if (pmd.dependencies){
+      graph = {
+        nodes: pmd.dependencies.nodes.map(function(node){
+          return extend({}, node, {
+            docFileName: files[node.docFileName] ? '#' + files[node.docFileName].anchor : node.docFileName
+          });
+        }),
+        edges: pmd.dependencies.edges
+      };
+    }
+
+    sections.forEach(function(section){
+      section.objects = section.objs.map(function(obj){
+        var
+          docFileName = pmd.getDocFileName(obj),
+          data = copy(obj.fileData, null, docFileName),
+          objGraph
+          ;
+
+        data.anchor = files[docFileName].anchor;
+        data.anchorPrefix = data.anchor + '-';
+        data.contentPartial = (pmd.CONTENT_PARTIALS[data.kind] || 'package-content') + path.extname(config.book.template);
+        data.rootPath = '';
+
+        if (graph && data.dependencies){
+          objGraph = pmd.getObjectGraph(graph, data.name);
+          data.dependencies.mermaid = pmd.formatMermaid(objGraph, '');
+          data.dependencies.dot = pmd.formatDot(objGraph, '', data.name);
+        }
+
+        return data;
+      });
+      delete section.objs;
+    });
+
+    return {
+      projectDispName: config.projectDispName,
+      sections: sections,
+      objects: sections.reduce(function(objects, section){
+        return objects.concat(section.objects);
+      }, []),
+      dependencies: graph && extend({
+        mermaid: pmd.formatMermaid(graph, ''),
+        dot: pmd.formatDot(graph, '', 'dependencies')
+      }, graph),
+      docFileName: config.book.fileName,
+      rootPath: '',
+      site: null,
+      version: config.version,
+      versions: pmd.versions
+    };
+  }// buildBookData
+
+
+  /**
+   * Generates the book: a single document with all the objects (see buildBookData)
+   * The descriptions of each object are rendered for the format of the book
+   *
+   * @param config Config JSON. config.book.template: the book is only generated when it's set
+   * @param objs array of all data, after the files are generated (see saveToFile)
+   */
+  pmd.generateBook = function(config, objs){
+    var
+      bookData,
+      outputFormat,
+      template
+      ;
+
+    if (!config.book.template){
+      return;
+    }
+
+    debug.log('\nCreated book');
+    pmd.loadHandlebars(config);
+
+    bookData = pmd.buildBookData(config, objs);
+    outputFormat = format.getFormat(config.book.fileName);
+
+    // The book data has no methods: renderTemplate doesn't format it
+    bookData.sections.forEach(function(section){
+      section.objects = section.objects.map(function(data){
+        return format.formatData(data, outputFormat);
+      });
+    });
+    bookData.objects = bookData.sections.reduce(function(objects, section){
+      return objects.concat(section.objects);
+    }, []);
+
+    template = Handlebars.compile(fs.readFileSync(path.resolve(config.book.template), 'utf8'));
+
+    pmd.writeFile(path.resolve(config.folders[0].output.path, config.book.fileName), pmd.renderTemplate(template, bookData, config.book.fileName));
+  }// generateBook
+
+
+  /**
+   * Builds the data of the portal page, that lists the projects generated in the same run (see --all-projects)
+   *
+   * @param projects Array of {name, config, objs}. name: name of the project in the config file, objs: objects of the project (see generateDocs)
+   * @param portalPath Path of the portal page. Links are relative to it
+   * @return {projectDispName, projects: [{name, projectDispName, toc, objectCount, sections: [{kind, title, count}]}], projectCount, rootPath, site}. toc: URL of the TOC of the project, null if it has no TOC. title: singular for one object. Ex: 1 View, 2 Views
+   */
+  pmd.buildPortalData = function(projects, portalPath){
+    var portalFolder = path.dirname(path.resolve(portalPath));
+
+    return {
+      projectDispName: 'Projects', // Title of the portal (used by the layout)
+      projects: projects.map(function(project){
+        var config = project.config;
+
+        return {
+          name: project.name,
+          projectDispName: config.projectDispName,
+          toc: config.toc.template ? path.relative(portalFolder, path.resolve(config.folders[0].output.path, config.toc.fileName)).split(path.sep).join('/') : null,
+          objectCount: project.objs.length,
+          // One entry per object kind of the project, in the order of dox.OBJECT_KINDS (same as the sections of the TOC)
+          sections: dox.OBJECT_KINDS.concat('other').map(function(kind){
+            var count = project.objs.filter(function(obj){
+              return obj.fileData.kind === kind;
+            }).length;
+
+            return {
+              kind: kind,
+              title: count === 1 ? pmd.KIND_NAMES[kind] : pmd.KIND_TITLES[kind],
+              count: count
+            };
+          }).filter(function(section){
+            return section.count > 0;
+          })
+        };
+      }),
+      projectCount: projects.length,
+      rootPath: '',
+      site: null
+    };
+  }// buildPortalData
+
+
+  /**
+   * Renders the portal page of the projects generated in the same run (see --portal)
+   * Only the bundled partials and helpers are available to the template: they are not specific to a project
+   *
+   * @param templatePath Template of the portal page
+   * @param portalPath Path of the portal page
+   * @param projects See buildPortalData
+   */
+  pmd.generatePortal = function(templatePath, portalPath, projects){
+    var template;
+
+    pmd.validatePathRef(templatePath, 'portal');
+    pmd.loadHandlebars({
+      handlebars: {
+        partials: [],
+        helpers: []
+      }
+    });
+
+    debug.log('\nCreated portal');
+    template = Handlebars.compile(fs.readFileSync(path.resolve(templatePath), 'utf8'));
+
+    pmd.writeFile(path.resolve(portalPath), pmd.renderTemplate(template, pmd.buildPortalData(projects, portalPath), portalPath));
+  }// generatePortal
+
+
+  /**
+   * Copies an obj so that it can be merged (mergeObjs changes the data of the objects)
+   *
+   * @param obj
+   * @return Copy of obj with a deep copy of fileData
+   */
+  pmd.cloneObj = function(obj){
+    return extend({}, obj, {
+      fileData: JSON.parse(JSON.stringify(obj.fileData))
+    });
+  }// cloneObj
+
+
+  /**
+   * Watches the source folders and the templates. Runs until the process is stopped
+   * When a source file changes, only this file is parsed again. All the objects are merged again from rawObjs, then the documentation of the changed objects is written
+   * The documentation of the other objects is written again when their links, dependencies or ref cursor links change. Ex: a link to a renamed method, the "Used By" section
+   * The TOC (and all the files, since they list all the objects) is only generated again when the set of objects changes
+   * When a template or a partial changes, all the documentation is generated again
+   *
+   * @param config Config JSON
+   * @param rawObjs Objects of each file before the merge (copies of generateData's objs)
+   * @param objs Merged objects, already written
+   * @param onError optional - Called with the errors raised while regenerating (the watch goes on). Default: prints the error
+   */
+  pmd.watch = function(config, rawObjs, objs, onError){
+    var
+      changedPaths = {},
+      watchers = Object.create(null), // Watcher of each source and partial folder (path)
+      timer,
+      templatePaths = [], // Templates files
+      partialPaths = config.handlebars.partials.map(function(partialPath){
+        return path.resolve(partialPath);
+      }).concat(path.resolve(__dirname, '../templates/partials'))
+      ;
+
+    // Errors of the generator (bad config...) are printed without the stack
+    onError = onError || function(e){
+      console.error('Error: ' + (e instanceof errors.PmdError ? e.message : (e.stack || e)));
+    };
+
+    // Is filePath in (or equal to) one of dirPaths
+    function isInside(filePath, dirPaths){
+      return dirPaths.some(function(dirPath){
+        var relPath = path.relative(dirPath, filePath);
+        return !relPath.startsWith('..') && !path.isAbsolute(relPath);
+      });
+    }
+
+    // Folder (with the same options as in config) for a source file or directory, null if not in a source folder
+    function getFolder(filePath, isDirectory){
+      var folder = config.folders.filter(function(folder){
+        return isInside(filePath, [path.resolve(folder.source.path)]);
+      })[0];
+
+      return folder ? extend({}, folder, {
+        source: extend({}, folder.source, {
+          path: isDirectory ? filePath : path.dirname(filePath)
+        })
+      }) : null;
+    }
+
+    // Processes a changed source file or directory. Returns the names of the objects that changed
+    function readSource(filePath){
+      var
+        names = [],
+        folder,
+        newObjs = []
+        ;
+
+      // Removed (or processed again below)
+      rawObjs = rawObjs.filter(function(obj){
+        if (isInside(obj.file.path, [filePath])){
+          names.push(obj.fileData.name);
+          return false;
+        }
+        return true;
+      });
+
+      if (fs.existsSync(filePath)){
+        if (fs.lstatSync(filePath).isDirectory()){
+          folder = getFolder(filePath, true);
+          if (folder){
+            pmd.readFolder(newObjs, config, folder);
+          }
+        }
+        else {
+          folder = getFolder(filePath, false);
+          newObjs = [folder && pmd.readFile(config, folder, path.basename(filePath))].filter(Boolean);
+        }
+      }
+
+      newObjs.forEach(function(obj){
+        rawObjs.push(obj);
+        names.push(obj.fileData.name);
+      });
+
+      return names;
+    }// readSource
+
+    // Path of the documentation file of an object
+    function getOutputPath(obj){
+      return path.resolve(obj.folder.output.path, pmd.getDocFileName(obj));
+    }
+
+    // Data of an object, without the data of the project added when its file is written (see saveToFile)
+    function getLinkedData(obj){
+      return JSON.stringify(extend({}, obj.fileData, {
+        files: null,
+        site: null,
+        version: null,
+        versions: null,
+        docFileName: null,
+        rootPath: null
+      }));
+    }
+
+    function regenerateSources(filePaths){
+      var
+        names = [],
+        oldNames = objs.map(function(obj){
+          return obj.fileData.name;
+        }),
+        newNames,
+        removedObjs,
+        changedObjs,
+        otherObjs,
+        oldData = Object.create(null) // Data of the other objects (see getOutputPath)
+        ;
+
+      filePaths.forEach(function(filePath){
+        names = names.concat(readSource(filePath));
+      });
+
+      if (names.length === 0){
+        return;
+      }
+
+      // Merge the changed objects again with their spec/body pair
+      removedObjs = objs.filter(function(obj){
+        return names.indexOf(obj.fileData.name) !== -1;
+      });
+      changedObjs = pmd.mergeObjs(rawObjs.filter(function(obj){
+        return names.indexOf(obj.fileData.name) !== -1;
+      }).map(pmd.cloneObj), config);
+
+      // The other objects are merged again too: their links (see resolveLinks), dependencies and ref cursor links may point to the changed objects
+      objs.filter(function(obj){
+        return names.indexOf(obj.fileData.name) === -1;
+      }).forEach(function(obj){
+        oldData[getOutputPath(obj)] = getLinkedData(obj);
+      });
+      otherObjs = pmd.mergeObjs(rawObjs.filter(function(obj){
+        return names.indexOf(obj.fileData.name) === -1;
+      }).map(pmd.cloneObj), config);
+      objs = otherObjs.concat(changedObjs);
+
+      newNames = objs.map(function(obj){
+        return obj.fileData.name;
+      });
+
+      pmd.setAnchors(objs);
+      pmd.resolveLinks(objs);
+      pmd.linkIssues(objs);
+      pmd.linkCursors(objs);
+      pmd.linkDependencies(objs);
+      pmd.linkObjectTypes(objs);
+      objs.forEach(function(obj){
+        pmd.groupOverloads(obj.fileData);
+      });
+      pmd.generateSite(config, objs);
+
+      // Documentation of removed objects
+      removedObjs.forEach(function(obj){
+        if (newNames.indexOf(obj.fileData.name) === -1 && !pmd.dryRun){
+          fs.removeSync(path.resolve(obj.folder.output.path, pmd.getDocFileName(obj)));
+        }
+      });
+
+      if (newNames.sort().join() !== oldNames.sort().join()){
+        pmd.generateToc(config, objs);
+        pmd.saveToFile(config, objs);
+      }
+      else {
+        // The other objects that link to or list the changed objects. Ex: a {@link} to a renamed method, their "Used By" section
+        pmd.saveToFile(config, changedObjs.concat(otherObjs.filter(function(obj){
+          return getLinkedData(obj) !== oldData[getOutputPath(obj)];
+        })));
+      }
+      pmd.generateIssues(config, objs);
+      pmd.generateBook(config, objs);
+      pmd.exportModel(config, objs);
+
+      pmd.log('Updated: ' + names.filter(function(name, i){
+        return names.indexOf(name) === i;
+      }).join(', '));
+    }// regenerateSources
+
+    function regenerateAll(){
+      // Templates and partials are loaded again
+      loadedHandlebarsConfig = null;
+      pmd.loadHandlebars(config);
+
+      rawObjs.concat(objs).forEach(function(obj){
+        obj.folder.compiledTemplates = {};
+      });
+      rawObjs.concat(objs).forEach(function(obj){
+        obj.template = pmd.getTemplate(obj.folder, obj.fileData.kind);
+      });
+
+      pmd.generateToc(config, objs);
+      pmd.generateIssues(config, objs);
+      pmd.saveToFile(config, objs);
+      pmd.generateBook(config, objs);
+
+      pmd.log('Updated: all files');
+    }// regenerateAll
+
+    function onChange(filePath){
+      changedPaths[filePath] = true;
+
+      // Editors often raise several events for one save
+      clearTimeout(timer);
+      timer = setTimeout(function(){
+        var
+          filePaths = Object.keys(changedPaths),
+          sourcePaths = filePaths.filter(function(filePath){
+            return templatePaths.indexOf(filePath) === -1 && !isInside(filePath, partialPaths);
+          })
+          ;
+
+        changedPaths = {};
+
+        try {
+          if (sourcePaths.length < filePaths.length){
+            regenerateAll();
+          }
+          regenerateSources(sourcePaths);
+        }
+        catch (e){
+          onError(e);
+        }
+      }, 100);
+    }// onChange
+
+    // Watches a folder and its subfolders, since fs.watch is not recursive on Linux before Node 19.1
+    function watchFolder(dirPath){
+      if (watchers[dirPath]){
+        return;
+      }
+
+      watchers[dirPath] = fs.watch(dirPath, function(eventType, fileName){
+        var filePath;
+
+        if (!fileName){
+          return;
+        }
+        filePath = path.resolve(dirPath, fileName);
+
+        if (!fs.existsSync(filePath)){
+          // Removed folder
+          Object.keys(watchers).filter(function(watchedPath){
+            return isInside(watchedPath, [filePath]);
+          }).forEach(unwatchFolder);
+        }
+        else if (fs.lstatSync(filePath).isDirectory()){
+          // New folder. Its files are processed with the folder (see readSource)
+          watchFolder(filePath);
+        }
+        onChange(filePath);
+      });
+      // Ex: the folder is removed
+      watchers[dirPath].on('error', unwatchFolder.bind(null, dirPath));
+
+      fs.readdirSync(dirPath).forEach(function(fileName){
+        var filePath = path.resolve(dirPath, fileName);
+
+        if (fs.lstatSync(filePath).isDirectory()){
+          watchFolder(filePath);
+        }
+      });
+    }// watchFolder
+
+    function unwatchFolder(dirPath){
+      if (watchers[dirPath]){
+        watchers[dirPath].close();
+        delete watchers[dirPath];
+      }
+    }// unwatchFolder
+
+    config.folders.forEach(function(folder){
+      templatePaths.push(path.resolve(folder.template));
+      Object.keys(folder.templates).forEach(function(kind){
+        templatePaths.push(path.resolve(folder.templates[kind]));
+      });
+    });
+    if (config.toc.template){
+      templatePaths.push(path.resolve(config.toc.template));
+    }
+    if (config.issues.template){
+      templatePaths.push(path.resolve(config.issues.template));
+    }
+    if (config.book.template){
+      templatePaths.push(path.resolve(config.book.template));
+    }
+
+    // Source folders and partials, with their subfolders
+    config.folders.map(function(folder){
+      return path.resolve(folder.source.path);
+    }).concat(partialPaths).forEach(watchFolder);
+
+    // Templates: the folder is watched since editors often replace the file when saving
+    templatePaths.map(path.dirname).filter(function(dirPath, i, dirPaths){
+      return dirPaths.indexOf(dirPath) === i;
+    }).forEach(function(dirPath){
+      fs.watch(dirPath, function(eventType, fileName){
+        if (fileName && templatePaths.indexOf(path.resolve(dirPath, fileName)) !== -1){
+          onChange(path.resolve(dirPath, fileName));
+        }
+      });
+    });
 
-    fs.writeFileSync(path.resolve(config.folders[0].output.path, config.toc.fileName), markdown);
-  }//config.templates.index
-}// generateToc
+    pmd.log('Watching for changes. Press Ctrl+C to stop');
+  }// watch
 
 
-module.exports = function(pDebug, pExtend){
-  debug = pDebug;
-  extend = pExtend;
   return pmd;
-}
+};// module.exports
@@ -0,0 +1,84 @@
+/*
+ * Client-side search for the HTML site mode
+ * Loads the search index (JSON) the first time the search box is used and lists the matching entries
+ */
+(function(){
+  var
+    MAX_RESULTS = 25,
+    index // Search index entries, once loaded
+    ;
+
+  function loadIndex(url, callback){
+    if (index){
+      return callback(index);
+    }
+
+    var request = new XMLHttpRequest();
+
+    request.open('GET', url);
+    request.onload = function(){
+      index = JSON.parse(request.responseText);
+      callback(index);
+    };
+    request.send();
+  }// loadIndex
+
+  function search(entries, query){
+    var terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return entries.filter(function(entry){
+      var text = ((entry.parent ? entry.parent + '.' : '') + entry.name).toLowerCase();
+
+      return terms.every(function(term){
+        return text.indexOf(term) !== -1;
+      });
+    }).slice(0, MAX_RESULTS);
+  }// search
+
+  // root: path from the page to the output folder, which the URLs of the index are relative to
+  function render(list, entries, root){
+    list.innerHTML = '';
+
+    entries.forEach(function(entry){
+      var
+        item = document.createElement('li'),
+        link = document.createElement('a'),
+        details = document.createElement('small')
+        ;
+
+      link.href = root + entry.url;
+      link.title = entry.summary || '';
+      link.textContent = (entry.parent ? entry.parent + '.' : '') + entry.name + ' ';
+      details.textContent = entry.kind;
+
+      link.appendChild(details);
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+  }// render
+
+  document.addEventListener('DOMContentLoaded', function(){
+    Array.prototype.forEach.call(document.querySelectorAll('.site-search'), function(form){
+      var
+        input = form.querySelector('input'),
+        list = form.querySelector('.site-search-results'),
+        root = form.getAttribute('data-root') || ''
+        ;
+
+      input.addEventListener('input', function(){
+        var query = input.value.trim();
+
+        if (!query){
+          return render(list, [], root);
+        }
+
+        loadIndex(form.getAttribute('data-index'), function(entries){
+          // Ignore responses for an outdated query
+          if (input.value.trim() === query){
+            render(list, search(entries, query), root);
+          }
+        });
+      });
+    });
+  });
+})();